@@ -7,16 +7,34 @@ import { readFileSync } from 'fs';
 import { dirname, join, resolve } from 'path';
 import { fileURLToPath } from 'url';
 import { availableStyles, styleDescriptions, isValidStyle } from '../prompts/index.js';
+import { clearAnalysisCache, DEFAULT_CACHE_DIR } from '../src/analysisCache.js';
 
 // Read version from package.json
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const packageJson = JSON.parse(readFileSync(join(__dirname, '../package.json'), 'utf8'));
 
+// Collect repeatable options (e.g. --repo a --repo b)
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
 // Process prompt options with priority handling
 async function processPromptOptions(options) {
   // Priority: custom prompt file > config file > style preset > default
 
+  // --deep-dive <count> sets how many commits get tool-based diff analysis; the
+  // flag itself still turns on the deep-dive sections, even with a count of 0
+  if (typeof options.deepDive === 'string') {
+    const count = parseInt(options.deepDive, 10);
+    if (!Number.isInteger(count) || count < 0) {
+      console.error(chalk.red(`❌ --deep-dive expects a commit count, got "${options.deepDive}"`));
+      process.exit(1);
+    }
+    options.diffAnalysisCount = count;
+    options.deepDive = true;
+  }
+
   // 1. Handle custom prompt file (highest priority)
   if (options.prompt) {
     console.log(chalk.blue(`📝 Loading custom prompt: ${options.prompt}`));
@@ -41,9 +59,11 @@ async function processPromptOptions(options) {
       const configModule = await import(resolve(options.config));
       const config = configModule.default || configModule;
 
-      // Merge config with CLI options (CLI options take precedence)
+      // Merge config with CLI options (CLI options take precedence; an empty
+      // repeatable option such as --ignore counts as not given)
       Object.keys(config).forEach(key => {
-        if (options[key] === undefined) {
+        const unset = options[key] === undefined || (Array.isArray(options[key]) && options[key].length === 0);
+        if (unset) {
           options[key] = config[key];
         }
       });
@@ -113,6 +133,67 @@ program
   .option('--auto-start', 'Automatically start Slidev after generating slides (default)')
   .option('--no-auto-start', 'Don\'t start Slidev automatically')
 
+  // Non-interactive commit range selection
+  .option('--since <date>', 'Include commits after this date (e.g. 2026-10-12 or "7 days ago")')
+  .option('--until <date>', 'Include commits before this date')
+  .option('--from <ref>', 'Start of the range (exclusive), e.g. a tag or commit hash')
+  .option('--to <ref>', 'End of the range (inclusive, default: HEAD)')
+  .option('--range <revspec>', 'Commit range as from..to (e.g. v1.4.0..HEAD)')
+  .option('--since-last-tag', 'Start the range at the most recent tag')
+
+  // Releases
+  .option('--tag-pattern <glob>', 'Only treat matching tags as releases, e.g. "v*"')
+
+  // Multi-repository decks
+  .option('--repo <path>', 'Repository to include (repeatable; default: current directory)', collect, [])
+
+  // Path scoping and monorepo packages
+  .option('--include <glob>', 'Only analyze matching paths, e.g. "packages/billing/**" (repeatable)', collect, [])
+  .option('--exclude <glob>', 'Ignore matching paths (repeatable)', collect, [])
+  .option('--by-package', 'Give each touched workspace package its own section')
+  .option('--ignore <glob>', 'Treat matching paths as generated churn: listed, but left out of stats and analysis (repeatable)', collect, [])
+
+  // Contributors and team roster
+  .option('--author <pattern>', 'Only include commits by matching authors (name or email, repeatable)', collect, [])
+  .option('--team <name>', 'Only include commits by roster team members (repeatable)', collect, [])
+  .option('--roster <path>', 'Roster file mapping emails to display names, teams and roles')
+  .option('--mailmap <path>', 'Extra .mailmap file for merging author identities')
+  .option('--include-bots', 'Keep commits from bots such as dependabot or renovate')
+
+  // Test coverage reports (lcov.info, Istanbul JSON, Cobertura XML)
+  .option('--coverage-before <path>', 'Coverage report for the start of the range (default: a report committed at the start ref)')
+  .option('--coverage-after <path>', 'Coverage report for the end of the range (default: a report committed at the end ref)')
+  .option('--coverage-threshold <percent>', 'Flag changed files under this line coverage (default: 50)')
+
+  // Churn hotspots and change coupling (technical and retrospective styles)
+  .option('--hotspot-lookback <days>', 'Days of history before the range to include in hotspot analysis (default: 90)')
+
+  // Business domains and impact
+  .option('--impact-rules <path>', 'Rules file mapping path globs to business domains, criticality and owners (CODEOWNERS fills in owners)')
+
+  // Merge-aware history
+  .option('--first-parent', 'Follow only the first parent of merges (mainline history)')
+  .option('--no-merges', 'Exclude merge commits')
+  .option('--group-prs', 'Collapse each merged branch into one pull request unit')
+
+  // Exported tracker metadata
+  .option('--prs-file <path>', 'Pull request export (`gh pr list --json ...` or CSV) to match by merge SHA or number (repeatable)', collect, [])
+  .option('--issues-file <path>', 'Issue export (Jira CSV/JSON or `gh issue list --json ...`) to match by issue key (repeatable)', collect, [])
+
+  // Calendar-aware reporting periods
+  .option('--week <isoWeek>', 'Report on an ISO week (e.g. 2026-W42)')
+  .option('--last-week', 'Report on the previous ISO week')
+  .option('--this-month', 'Report on the current calendar month')
+  .option('--sprint <number>', 'Report on a sprint number (or "current"); needs "sprints" in the config file')
+  .option('--timezone <tz>', 'IANA timezone used to resolve periods (default: system timezone)')
+
+  // Per-commit analysis cache
+  .option('--no-cache', 'Ignore the .blackflag/cache analysis cache for this run')
+
+  // Redaction and audit log for what is sent to the model
+  .option('--no-redact', 'Send prompts and tool output without redacting secrets, emails and internal hosts')
+  .option('--audit-log <path>', 'Write the audit log of text sent to the model here (default: .blackflag/audit/run-<time>.jsonl)')
+
   // Prompt customization options
   .option('-s, --style <style>', `Presentation style (${availableStyles.join('|')})`, 'default')
   .option('-p, --prompt <path>', 'Path to custom prompt file')
@@ -121,7 +202,7 @@ program
   // Inline prompt modifiers
   .option('--focus <type>', 'Focus area (business|technical|process)')
   .option('--audience <type>', 'Target audience (executive|developers|team|mixed)')
-  .option('--deep-dive', 'Include technical deep-dive sections')
+  .option('--deep-dive [count]', 'Include technical deep-dive sections and run diff analysis on more commits (default 10, 3 without the flag, 0 to skip)')
   .option('--include-metrics', 'Include detailed metrics and analytics')
   .option('--highlight-challenges', 'Emphasize challenges and problem-solving')
   .option('--team-size <number>', 'Specify team size for collaboration insights')
@@ -130,15 +211,16 @@ program
     try {
       console.log(chalk.blue.bold('🏴 BlackFlag Weekly - Generating your progress slides...\n'));
 
-      // Check if we're in a git repository
-      if (!await isGitRepository()) {
+      // Validate and process prompt options
+      await processPromptOptions(options);
+
+      // Check if we're in a git repository (explicit repositories are validated on load)
+      const hasRepositories = options.repo.length > 0 || options.repositories?.length > 0;
+      if (!hasRepositories && !await isGitRepository()) {
         console.error(chalk.red('❌ Not a git repository. Please run this command in a git repository.'));
         process.exit(1);
       }
 
-      // Validate and process prompt options
-      await processPromptOptions(options);
-
       // Check for OpenAI API key if not skipping AI
       if (!options.skipAi && !process.env.OPENAI_API_KEY) {
         console.error(chalk.red('❌ OpenAI API key not found. Please set OPENAI_API_KEY environment variable.'));
@@ -153,6 +235,23 @@ program
     }
   });
 
+// Cache maintenance: blackflag_weekly cache clear
+program
+  .command('cache')
+  .description('Manage the per-commit analysis cache')
+  .command('clear')
+  .description('Delete cached commits and analyzer results')
+  .option('--cache-dir <path>', 'Cache directory to clear', DEFAULT_CACHE_DIR)
+  .action(async (options) => {
+    try {
+      const removed = await clearAnalysisCache(options.cacheDir);
+      console.log(chalk.green(`🧹 Cleared ${removed} cached commits from ${options.cacheDir}`));
+    } catch (error) {
+      console.error(chalk.red('❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 async function isGitRepository() {
   const fs = (await import('fs')).promises;
   try {
@@ -173,6 +272,7 @@ Examples:
   # Use built-in style presets with multi-agent system
   $ blackflag_weekly --style executive
   $ blackflag_weekly --style technical --deep-dive
+  $ blackflag_weekly --last-week --deep-dive 25
   $ blackflag_weekly --style retrospective --team-size 5
 
   # Use custom prompt file
@@ -185,6 +285,58 @@ Examples:
   $ blackflag_weekly --style technical --theme seriph --include-metrics
   $ blackflag_weekly --style executive --focus business --audience executive
 
+  # Skip the commit picker (for scripts and cron jobs)
+  $ blackflag_weekly --since 2026-10-12 --until 2026-10-19 --no-auto-start
+  $ blackflag_weekly --from v1.4.0 --to HEAD
+  $ blackflag_weekly --range v1.4.0..v1.5.0
+  $ blackflag_weekly --since-last-tag --tag-pattern "v*"
+
+  # Aggregate several repositories into one deck
+  $ blackflag_weekly --repo ../api --repo ../web --repo ../mobile --last-week
+
+  # Scope a monorepo deck
+  $ blackflag_weekly --last-week --include "packages/billing/**"
+  $ blackflag_weekly --last-week --by-package --exclude "docs/**"
+
+  # Keep fixtures and snapshots out of line counts (lockfiles and dist/ are detected already)
+  $ blackflag_weekly --last-week --ignore "fixtures/**" --ignore "*.snap"
+
+  # Filter by people and teams from a roster file
+  $ blackflag_weekly --last-week --roster ./team.json --team payments
+  $ blackflag_weekly --since 2026-10-12 --author alice@example.com
+
+  # Coverage deltas on a metrics slide
+  $ blackflag_weekly --last-week --include-metrics --coverage-before base/lcov.info --coverage-after coverage/lcov.info
+
+  # Hotspots, change coupling, owners and bus factor, over the sprint plus half a year
+  $ blackflag_weekly --since "2 weeks ago" --style retrospective --hotspot-lookback 180 --roster ./team.json
+
+  # Technical review of a release, with API and dependency upgrades
+  $ blackflag_weekly --range v1.4.0..HEAD --style technical
+
+  # Summarize work by business domain for leadership
+  $ blackflag_weekly --last-week --style executive --impact-rules ./impact-rules.json
+
+  # Plan the deck around merged pull requests
+  $ blackflag_weekly --last-week --group-prs
+  $ blackflag_weekly --since 2026-10-12 --first-parent
+
+  # Ticket status and review counts from exported files
+  $ gh pr list --state merged --json number,title,labels,reviews,reviewDecision,mergeCommit,headRefName,state > prs.json
+  $ blackflag_weekly --last-week --prs-file prs.json --issues-file jira-export.csv
+
+  # Report on a calendar period
+  $ blackflag_weekly --last-week --timezone Europe/Berlin
+  $ blackflag_weekly --week 2026-W42
+  $ blackflag_weekly --sprint current --config ./blackflag.config.js
+
+  # Keep a copy of exactly what was sent to the model (secrets are redacted first)
+  $ blackflag_weekly --last-week --audit-log ./audit/last-week.jsonl
+
+  # Bypass or reset the per-commit cache
+  $ blackflag_weekly --last-week --no-cache
+  $ blackflag_weekly cache clear
+
   # Use legacy single-agent system (if multi-agent has issues)
   $ blackflag_weekly --legacy-agent
 
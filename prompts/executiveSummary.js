@@ -1,8 +1,14 @@
+import { getContributors } from '../src/team.js';
+import { summarizeTrackerData, hasTrackerData, formatTrackerSummary } from '../src/trackerImport.js';
+import { summarizeDomains, formatDomainSummary } from '../src/impactRules.js';
+
 export const slideGenerationPrompt = (theme, detailedCommitSummary, workByCategory, commits, promptConfig = {}) => {
   const totalFiles = commits.reduce((sum, c) => sum + (c.stats?.files || 0), 0);
   const totalLines = commits.reduce((sum, c) => sum + (c.stats?.insertions || 0) + (c.stats?.deletions || 0), 0);
-  const contributors = [...new Set(commits.map(c => c.author))];
+  const contributors = getContributors(commits);
   const timeframe = `${commits[commits.length - 1]?.date} to ${commits[0]?.date}`;
+  const tracker = summarizeTrackerData(commits);
+  const domains = summarizeDomains(commits);
 
   // Calculate business metrics
   const deliverables = Object.keys(workByCategory).length;
@@ -20,14 +26,17 @@ Development Period: ${timeframe}
 Team Composition: ${contributors.length} contributor${contributors.length !== 1 ? 's' : ''} (${contributors.join(', ')})
 Delivery Scope: ${totalFiles} files modified, ${totalLines} lines of code
 Strategic Focus Areas: ${deliverables} categories of work completed
-
+${hasTrackerData(tracker) ? `Ticket Status (from tracker export): ${formatTrackerSummary(tracker)}\n` : ''}
 EXECUTIVE SUMMARY:
 ${Object.entries(workByCategory).map(([category, items]) =>
     `${category.toUpperCase()} DELIVERABLES: ${items.length} completed
 ${items.slice(0, 2).map(item => `  • ${item.message} (${item.stats?.files || 0} files impacted)`).join('\n')}`
   ).join('\n\n')}
 
-BUSINESS IMPACT ANALYSIS:
+${domains.length > 0 ? `WORK BY BUSINESS DOMAIN (from impact rules and CODEOWNERS):
+${domains.slice(0, 10).map(domain => `• ${formatDomainSummary(domain)}`).join('\n')}
+
+` : ''}BUSINESS IMPACT ANALYSIS:
 • New Capabilities Delivered: ${newCapabilities} features enhancing product value
 • Risk Mitigation: ${riskMitigation} issues resolved, improving system reliability  
 • Process Improvements: ${processImprovements} technical debt and quality enhancements
@@ -39,7 +48,7 @@ PRESENTATION REQUIREMENTS:
 - Include timeline and resource utilization
 - Emphasize risk mitigation and quality improvements
 - Connect technical work to business objectives
-- Use executive-appropriate language and metrics
+${domains.length > 0 ? '- Summarize the work by business domain with its change count and criticality, e.g. "Checkout: 6 changes, high criticality"\n' : ''}- Use executive-appropriate language and metrics
 - Structure for 10-15 minute presentation
 - Include forward-looking outcomes and next steps
 
@@ -1,5 +1,8 @@
+import { getContributors, getWorkDistribution } from '../src/team.js';
+import { summarizeTrackerData } from '../src/trackerImport.js';
+
 export const slideGenerationPrompt = (theme, detailedCommitSummary, workByCategory, commits, promptConfig = {}) => {
-  const contributors = [...new Set(commits.map(c => c.author))];
+  const contributors = getContributors(commits);
   const timespan = Math.ceil((new Date(commits[0]?.date) - new Date(commits[commits.length - 1]?.date)) / (1000 * 60 * 60 * 24)) || 1;
   const velocity = commits.length / timespan;
 
@@ -14,11 +17,9 @@ export const slideGenerationPrompt = (theme, detailedCommitSummary, workByCatego
   // Collaboration patterns
   const collaborationLevel = contributors.length > 1 ? 'collaborative' : 'individual';
   const avgCommitSize = commits.reduce((sum, c) => sum + (c.stats?.files || 0), 0) / commits.length;
-  const workDistribution = contributors.map(author => ({
-    author,
-    commits: commits.filter(c => c.author === author).length,
-    impact: commits.filter(c => c.author === author).reduce((sum, c) => sum + (c.stats?.files || 0), 0)
-  }));
+  const workDistribution = getWorkDistribution(commits);
+  const teams = [...new Set(workDistribution.map(member => member.team).filter(Boolean))];
+  const tracker = summarizeTrackerData(commits);
 
   return `Create a team retrospective presentation focusing on process, collaboration, lessons learned, and team dynamics. This should facilitate discussion about what went well, what could be improved, and how to enhance future work.
 
@@ -40,9 +41,15 @@ ${items.slice(0, 3).map(item => `  • ${item.message} (${item.author})`).join('
 
 TEAM COLLABORATION INSIGHTS:
 ${workDistribution.map(member =>
-    `${member.author}: ${member.commits} commits, ${member.impact} files impacted`
+    `${member.author}${member.team ? ` [${member.team}${member.role ? `, ${member.role}` : ''}]` : ''}: ${member.commits} commits${member.coAuthored ? `, ${member.coAuthored} co-authored (pairing)` : ''}, ${member.impact} files impacted`
   ).join('\n')}
-
+${teams.length > 0 ? `
+Team Breakdown:
+${teams.map(team => {
+    const members = workDistribution.filter(member => member.team === team);
+    return `${team}: ${members.length} member${members.length !== 1 ? 's' : ''}, ${members.reduce((sum, member) => sum + member.commits, 0)} commits`;
+  }).join('\n')}
+` : ''}
 Average commit scope: ${avgCommitSize.toFixed(1)} files per commit
 
 PROCESS ANALYSIS:
@@ -50,7 +57,7 @@ PROCESS ANALYSIS:
 • Challenge Resolution: ${challengeIndicators} issues addressed and resolved
 • Quality Investment: ${qualityWork} refactoring and testing improvements
 • Knowledge Sharing: ${workByCategory.documentation?.length || 0} documentation updates
-
+${tracker.pullRequests.length > 0 ? `• Code Review: ${tracker.reviews} reviews across ${tracker.pullRequests.length} pull requests, ${tracker.approved} approved\n` : ''}${tracker.tickets.length > 0 ? `• Ticket Flow: ${tracker.closed.length} tickets closed, ${tracker.open.length} still open${tracker.inProgress.length > 0 ? ` (${tracker.inProgress.length} in progress)` : ''}\n` : ''}
 RETROSPECTIVE FOCUS AREAS:
 
 WHAT WENT WELL:
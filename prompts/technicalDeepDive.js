@@ -1,7 +1,14 @@
+import { collectMoves } from '../src/fileChanges.js';
+import { collectComplexityChanges, formatFunctionChange } from '../src/complexity.js';
+import { summarizeRoles } from '../src/fileClassifier.js';
+import { collectDependencyChanges, summarizeDependencyChanges, formatDependencySummary, formatDependencyChange } from '../src/dependencies.js';
+
 export const slideGenerationPrompt = (theme, detailedCommitSummary, workByCategory, commits, promptConfig = {}) => {
-  const codeFiles = commits.reduce((sum, c) => sum + (c.fileChanges?.filter(fc => fc.type === 'code').length || 0), 0);
-  const configFiles = commits.reduce((sum, c) => sum + (c.fileChanges?.filter(fc => fc.type === 'configuration').length || 0), 0);
-  const testFiles = commits.reduce((sum, c) => sum + (c.fileChanges?.filter(fc => fc.type === 'testing').length || 0), 0);
+  const roles = summarizeRoles(commits);
+  const languages = [...new Set(commits.flatMap(c => (c.fileChanges || []).map(fc => fc.language).filter(Boolean)))];
+  const moves = collectMoves(commits);
+  const complexityChanges = collectComplexityChanges(commits);
+  const dependencyChanges = collectDependencyChanges(commits);
 
   // Technical patterns analysis
   const architecturalChanges = commits.filter(c =>
@@ -31,9 +38,14 @@ TECHNICAL ANALYSIS:
 ${detailedCommitSummary}
 
 CODE IMPACT BREAKDOWN:
-• Source Code Files: ${codeFiles} modified
-• Configuration Files: ${configFiles} updated  
-• Test Files: ${testFiles} affected
+• Source Code Files: ${roles.source || 0} modified${languages.length > 0 ? ` (${languages.join(', ')})` : ''}
+• Test Files: ${roles.test || 0} affected
+• Configuration & Build Files: ${(roles.config || 0) + (roles.build || 0)} updated
+• Infrastructure Files: ${roles.infra || 0} changed
+• Database Migrations: ${roles.migration || 0}
+• Documentation Files: ${roles.docs || 0}
+• Moved/Renamed Files: ${moves.length}
+• Dependency Changes: ${dependencyChanges.length > 0 ? formatDependencySummary(summarizeDependencyChanges(dependencyChanges)) : 'none'}
 • Architectural Changes: ${architecturalChanges.length} structural modifications
 • Performance Work: ${performanceWork.length} optimization commits
 • Security Enhancements: ${securityWork.length} security-focused changes
@@ -42,13 +54,14 @@ DETAILED TECHNICAL CONTEXT:
 ${Object.entries(workByCategory).map(([category, items]) =>
     `${category.toUpperCase()} IMPLEMENTATION (${items.length} commits):
 ${items.map(item => {
-      const fileTypes = item.fileChanges?.map(fc => fc.type).join(', ') || 'mixed';
-      const complexity = (item.stats?.insertions || 0) > 100 ? 'complex' :
-        (item.stats?.insertions || 0) > 20 ? 'moderate' : 'simple';
+      const fileTypes = [...new Set(item.fileChanges?.map(fc => fc.type) || [])].join(', ') || 'mixed';
+      const complexity = item.complexity ?
+        `cyclomatic ${item.complexity.totals.complexityBefore} → ${item.complexity.totals.complexityAfter} (parsed)` :
+        `${(item.stats?.insertions || 0) > 100 ? 'complex' : (item.stats?.insertions || 0) > 20 ? 'moderate' : 'simple'} change`;
       return `  • ${item.message}
     Files: ${item.stats?.files || 0} (${fileTypes})
     Scale: +${item.stats?.insertions || 0}/-${item.stats?.deletions || 0} lines
-    Complexity: ${complexity} change`;
+    Complexity: ${complexity}`;
     }).join('\n')}`
   ).join('\n\n')}
 
@@ -57,8 +70,19 @@ ${architecturalChanges.length > 0 ? `
 Structural Changes Made:
 ${architecturalChanges.map(change => `• ${change.message} - ${change.stats?.files || 0} files restructured`).join('\n')}
 ` : 'No major architectural changes in this period.'}
+${moves.length > 0 ? `
+Module Moves:
+${moves.slice(0, 20).map(change => `• ${change.oldPath} → ${change.newPath}${change.status === 'C' ? ' (copied)' : ''}`).join('\n')}
+` : ''}
+${complexityChanges.length > 0 ? `COMPLEXITY DELTAS (parsed from the JS/TS source before and after each change):
+${complexityChanges.slice(0, 15).map(change => `• ${formatFunctionChange(change)}`).join('\n')}
+Cite these numbers directly (e.g. "handlePayment complexity 14 → 6") when discussing code quality.
+
+` : ''}${dependencyChanges.length > 0 ? `DEPENDENCY CHANGES (from package manifests and lockfiles, per commit):
+${dependencyChanges.slice(0, 20).map(change => `• ${formatDependencyChange(change)} in "${change.commit.message}"`).join('\n')}
+Treat [major] bumps as technical decisions: what the upgrade brings, what had to change and what risk remains.
 
-TECHNICAL DEBT & QUALITY:
+` : ''}TECHNICAL DEBT & QUALITY:
 • Refactoring Work: ${workByCategory.refactoring?.length || 0} code quality improvements
 • Testing Coverage: ${workByCategory.testing?.length || 0} test-related changes
 • Bug Resolution: ${workByCategory.bugfix?.length || 0} defects addressed
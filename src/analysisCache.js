@@ -0,0 +1,83 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// On-disk per-commit cache. A commit's diff never changes once it exists, so the
+// enhanced commit object and analyzer outputs are stored under its hash and
+// reused on later runs. Bump ANALYZER_VERSION whenever the shape of either
+// changes; entries written by another version are ignored.
+
+export const ANALYZER_VERSION = 7;
+export const DEFAULT_CACHE_DIR = path.join('.blackflag', 'cache');
+
+// `variant` holds whatever else shapes an enhanced commit (path scope, mailmap),
+// so a scoped run never reuses file lists recorded by an unscoped one
+export function createAnalysisCache({ enabled = true, dir = DEFAULT_CACHE_DIR, variant = {} } = {}) {
+  const cacheDir = path.resolve(dir);
+  const variantKey = crypto.createHash('sha1').update(JSON.stringify(variant)).digest('hex').slice(0, 12);
+
+  const entryPath = hash => path.join(cacheDir, hash.slice(0, 2), `${hash}.json`);
+
+  async function readEntry(hash) {
+    try {
+      const entry = JSON.parse(await fs.readFile(entryPath(hash), 'utf8'));
+      return entry.analyzerVersion === ANALYZER_VERSION ? entry : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async function updateEntry(hash, update) {
+    const entry = await readEntry(hash) || { analyzerVersion: ANALYZER_VERSION, hash, commits: {}, analyses: {} };
+    update(entry);
+    await fs.mkdir(path.dirname(entryPath(hash)), { recursive: true });
+    await fs.writeFile(entryPath(hash), JSON.stringify(entry));
+  }
+
+  return {
+    enabled,
+    dir: cacheDir,
+    // For analyses that depend on the same settings (see gitAnalysisTools.cachedAnalysis)
+    variant: variantKey,
+
+    async readCommit(hash) {
+      if (!enabled) return null;
+      return (await readEntry(hash))?.commits[variantKey] || null;
+    },
+
+    async writeCommit(hash, commit) {
+      if (!enabled) return;
+      // Serialize now: callers go on to mutate the commit (roster names, repository labels)
+      const snapshot = JSON.parse(JSON.stringify(commit));
+      await updateEntry(hash, entry => { entry.commits[variantKey] = snapshot; });
+    },
+
+    // Analyzer outputs (gitAnalysisTools, per-commit AI summaries) keyed by analyzer name
+    async readAnalysis(hash, name) {
+      if (!enabled) return null;
+      return (await readEntry(hash))?.analyses[name] ?? null;
+    },
+
+    async writeAnalysis(hash, name, value) {
+      if (!enabled) return;
+      await updateEntry(hash, entry => { entry.analyses[name] = value; });
+    }
+  };
+}
+
+// Returns the entry count removed, or 0 when there was no cache
+export async function clearAnalysisCache(dir = DEFAULT_CACHE_DIR) {
+  const cacheDir = path.resolve(dir);
+  let count = 0;
+
+  try {
+    for (const shard of await fs.readdir(cacheDir)) {
+      count += (await fs.readdir(path.join(cacheDir, shard))).length;
+    }
+  } catch (error) {
+    return 0;
+  }
+
+  await fs.rm(cacheDir, { recursive: true, force: true });
+  return count;
+}
@@ -0,0 +1,391 @@
+import YAML from 'yaml';
+import { parseModule, walkAst, readBlobs, isMeasurableSource } from './complexity.js';
+import { classifyFile } from './fileClassifier.js';
+
+// Public API surface diffing between two revisions: exported symbols and their
+// signatures in JS/TS modules, Express-style routes (router.get('/path', ...))
+// and OpenAPI operations. Removed symbols, routes and operations, new required
+// parameters and changed kinds are breaking; additions and optional changes are not.
+
+const OPENAPI_PATTERN = /(^|\/)[^/]*(openapi|swagger)[^/]*\.(json|ya?ml)$/i;
+const ROUTE_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'all'];
+const OPENAPI_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'trace'];
+// git's well-known empty tree, the base for ranges that start at the root commit
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+const MAX_API_FILES = 200;
+const MAX_SIGNATURE_LENGTH = 200;
+
+export function isApiFile(file) {
+  return (isMeasurableSource(file) && classifyFile(file) === 'source') || OPENAPI_PATTERN.test(file);
+}
+
+// Compares the API surface of `base` and `head` over the given file changes
+// ({ status, file, oldPath }). Returns { base, head, changes, breaking, skipped }.
+export async function diffApiSurface(repoPath, { base, head, fileChanges }) {
+  const candidates = fileChanges.filter(change => isApiFile(change.file) || (change.oldPath && isApiFile(change.oldPath)));
+  const files = candidates.slice(0, MAX_API_FILES);
+
+  const specs = files.flatMap(change => [
+    change.status === 'A' ? null : `${base}:${change.oldPath || change.file}`,
+    change.status === 'D' ? null : `${head}:${change.file}`
+  ]).filter(Boolean);
+  const blobs = await readBlobs(repoPath, specs);
+
+  const before = { exports: new Map(), routes: new Map(), operations: new Map() };
+  const after = { exports: new Map(), routes: new Map(), operations: new Map() };
+
+  for (const change of files) {
+    const oldPath = change.oldPath || change.file;
+    if (change.status !== 'A') {
+      collectSurface(before, blobs.get(`${base}:${oldPath}`), oldPath, change.file);
+    }
+    if (change.status !== 'D') {
+      collectSurface(after, blobs.get(`${head}:${change.file}`), change.file, change.file);
+    }
+  }
+
+  const changes = [
+    ...compareEntries(before.exports, after.exports, compareSignatures),
+    ...compareEntries(before.routes, after.routes, () => null),
+    ...compareEntries(before.operations, after.operations, compareOperations)
+  ].sort((a, b) => Number(b.breaking) - Number(a.breaking) || CHANGE_ORDER[a.change] - CHANGE_ORDER[b.change]);
+
+  return {
+    base,
+    head,
+    changes,
+    breaking: changes.some(change => change.breaking),
+    skipped: candidates.length - files.length
+  };
+}
+
+const CHANGE_ORDER = { removed: 0, changed: 1, added: 2 };
+
+// Range-level diff: from the range start (or before the oldest commit) to the newest commit
+export async function diffRangeApi(git, repoPath, { base, head, pathspecs = [] }) {
+  const resolvedBase = await resolveRangeBase(git, base);
+  const output = await git.raw(['diff', '--name-status', '-z', '-M', resolvedBase, head, '--', ...pathspecs]);
+
+  const fields = output.split('\0');
+  const fileChanges = [];
+  for (let i = 0; i < fields.length - 1;) {
+    const status = fields[i].charAt(0);
+    if (status === 'R' || status === 'C') {
+      fileChanges.push({ status, oldPath: fields[i + 1], file: fields[i + 2] });
+      i += 3;
+    } else {
+      fileChanges.push({ status, oldPath: null, file: fields[i + 1] });
+      i += 2;
+    }
+  }
+
+  return diffApiSurface(repoPath, { base: resolvedBase, head, fileChanges });
+}
+
+// `base` when it names a commit, else the empty tree (the parent of a root commit)
+export async function resolveRangeBase(git, base) {
+  return await verifyCommit(git, base) ? base : EMPTY_TREE;
+}
+
+async function verifyCommit(git, ref) {
+  try {
+    // --quiet exits without stderr on unknown refs, which simple-git does not treat as an error
+    return Boolean((await git.raw(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`])).trim());
+  } catch (error) {
+    return false;
+  }
+}
+
+// `file` is where the source lives in this revision; `key` is its path at head, so
+// a renamed module is compared with its former self
+function collectSurface(surface, source, file, key) {
+  if (!source) return;
+
+  if (OPENAPI_PATTERN.test(file)) {
+    for (const [operation, entry] of readOpenApiOperations(source, file)) {
+      surface.operations.set(operation, { ...entry, file: key });
+    }
+    return;
+  }
+
+  let ast;
+  try {
+    ast = parseModule(source, file);
+  } catch (error) {
+    return;
+  }
+  for (const [symbol, entry] of readExports(ast.program, source)) {
+    surface.exports.set(`${key}#${symbol}`, { ...entry, symbol, file: key });
+  }
+  for (const route of readRoutes(ast.program)) {
+    surface.routes.set(route, { kind: 'route', symbol: route, signature: route, file: key });
+  }
+}
+
+// Exported name → { kind, signature, params }
+function readExports(program, source) {
+  const exports = new Map();
+  const declarations = new Map();
+  const text = node => source.slice(node.start, node.end).replace(/\s+/g, ' ').trim();
+
+  for (const statement of program.body) {
+    const declaration = statement.type.startsWith('Export') ? statement.declaration : statement;
+    for (const [name, entry] of describeDeclaration(declaration, text)) {
+      declarations.set(name, entry);
+    }
+  }
+
+  for (const statement of program.body) {
+    if (statement.type === 'ExportNamedDeclaration') {
+      for (const [name, entry] of describeDeclaration(statement.declaration, text)) {
+        addExport(exports, name, entry);
+      }
+      for (const specifier of statement.specifiers) {
+        const exported = specifier.exported.name ?? specifier.exported.value;
+        const local = specifier.local?.name;
+        if (statement.source) {
+          addExport(exports, exported, { kind: 're-export', signature: `${local && local !== exported ? `${local} as ` : ''}${exported} from '${statement.source.value}'` });
+          continue;
+        }
+        addExport(exports, exported, declarations.get(local) || { kind: 'binding', signature: exported });
+        // `export { Cart }` exposes the class's public methods just like `export class Cart`
+        for (const [name, entry] of declarations) {
+          if (name.startsWith(`${local}.`)) addExport(exports, `${exported}${name.slice(local.length)}`, entry);
+        }
+      }
+    } else if (statement.type === 'ExportDefaultDeclaration') {
+      const [entry] = describeDeclaration(statement.declaration, text).values();
+      addExport(exports, 'default', entry || { kind: 'value', signature: `default ${text(statement.declaration)}`.slice(0, MAX_SIGNATURE_LENGTH) });
+    } else if (statement.type === 'ExportAllDeclaration') {
+      const name = statement.exported ? statement.exported.name : `* from '${statement.source.value}'`;
+      addExport(exports, name, { kind: 're-export', signature: `* from '${statement.source.value}'` });
+    } else if (statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression') {
+      readCommonJsExport(statement.expression, exports, declarations, text);
+    }
+  }
+  return exports;
+}
+
+// TypeScript overloads share a name; their signatures are joined
+function addExport(exports, name, entry) {
+  const existing = exports.get(name);
+  exports.set(name, existing && existing.kind === 'function' && entry.kind === 'function' ?
+    { ...entry, signature: `${existing.signature} | ${entry.signature}` } :
+    entry);
+}
+
+function readCommonJsExport(assignment, exports, declarations, text) {
+  const target = memberPath(assignment.left);
+  const value = assignment.right;
+  const describeValue = (name, node) => node.type === 'Identifier' && declarations.has(node.name) ?
+    declarations.get(node.name) :
+    describeValueNode(name, node, text);
+
+  if (target === 'module.exports' && value.type === 'ObjectExpression') {
+    for (const property of value.properties) {
+      const name = property.key?.name ?? property.key?.value;
+      if (!name) continue;
+      addExport(exports, name, property.type === 'ObjectMethod' ?
+        functionEntry(name, property, text) :
+        describeValue(name, property.value));
+    }
+  } else if (target === 'module.exports') {
+    addExport(exports, 'default', describeValue('default', value));
+  } else if (/^(module\.)?exports\.\w+$/.test(target || '')) {
+    const name = target.split('.').pop();
+    addExport(exports, name, describeValue(name, value));
+  }
+}
+
+function memberPath(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression' && !node.computed) {
+    const object = memberPath(node.object);
+    return object ? `${object}.${node.property.name}` : null;
+  }
+  return null;
+}
+
+// Named entries a declaration introduces; classes add one entry per public method
+function describeDeclaration(declaration, text) {
+  const entries = new Map();
+  if (!declaration) return entries;
+
+  switch (declaration.type) {
+    case 'FunctionDeclaration':
+    case 'TSDeclareFunction':
+      entries.set(declaration.id?.name || 'default', functionEntry(declaration.id?.name || 'default', declaration, text));
+      break;
+    case 'ClassDeclaration': {
+      const name = declaration.id?.name || 'default';
+      entries.set(name, { kind: 'class', signature: `class ${name}${declaration.superClass ? ` extends ${text(declaration.superClass)}` : ''}` });
+      for (const member of declaration.body.body) {
+        const isPublic = member.type === 'ClassMethod' && !member.accessibility?.match(/private|protected/) && member.key.type !== 'PrivateName';
+        if (isPublic) {
+          const memberName = `${name}.${member.static ? 'static ' : ''}${member.key.name ?? member.key.value}`;
+          entries.set(memberName, { ...functionEntry(memberName, member, text), kind: member.kind === 'method' || member.kind === 'constructor' ? 'method' : member.kind });
+        }
+      }
+      break;
+    }
+    case 'VariableDeclaration':
+      for (const declarator of declaration.declarations) {
+        if (declarator.id.type !== 'Identifier') continue;
+        const name = declarator.id.name;
+        entries.set(name, declarator.init && isFunctionNode(declarator.init) ?
+          functionEntry(name, declarator.init, text) :
+          { kind: declaration.kind, signature: `${declaration.kind} ${name}${declarator.id.typeAnnotation ? text(declarator.id.typeAnnotation) : ''}` });
+      }
+      break;
+    case 'TSInterfaceDeclaration':
+    case 'TSTypeAliasDeclaration':
+    case 'TSEnumDeclaration':
+      entries.set(declaration.id.name, { kind: 'type', signature: text(declaration).slice(0, MAX_SIGNATURE_LENGTH) });
+      break;
+    default:
+      if (isFunctionNode(declaration)) {
+        entries.set('default', functionEntry('default', declaration, text));
+      }
+  }
+  return entries;
+}
+
+function describeValueNode(name, node, text) {
+  if (isFunctionNode(node)) return functionEntry(name, node, text);
+  return { kind: 'value', signature: `${name} = ${text(node)}`.slice(0, MAX_SIGNATURE_LENGTH) };
+}
+
+function isFunctionNode(node) {
+  return node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression' || node.type === 'FunctionDeclaration';
+}
+
+// "charge(amount: number, currency = 'USD'): Promise<Receipt>"
+function functionEntry(name, fn, text) {
+  const params = (fn.params || []).map(param => ({
+    text: text(param),
+    optional: param.type === 'AssignmentPattern' || param.type === 'RestElement' || Boolean(param.optional)
+  }));
+  const returns = fn.returnType ? text(fn.returnType) : '';
+  return {
+    kind: 'function',
+    params,
+    signature: `${name}(${params.map(param => param.text).join(', ')})${returns}`.slice(0, MAX_SIGNATURE_LENGTH)
+  };
+}
+
+// "GET /users/:id" for router.get('/users/:id', ...) and similar calls; paths must
+// start with "/" so map.get('key') and friends are not mistaken for routes
+function readRoutes(program) {
+  const routes = new Set();
+  walkAst(program, node => {
+    if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression' || node.callee.computed) return;
+    const method = node.callee.property.name;
+    if (!ROUTE_METHODS.includes(method)) return;
+
+    const [first] = node.arguments;
+    const routePath = first?.type === 'StringLiteral' ? first.value :
+      first?.type === 'TemplateLiteral' && first.expressions.length === 0 ? first.quasis[0].value.cooked : null;
+    if (routePath?.startsWith('/') && node.arguments.length > 1) {
+      routes.add(`${method.toUpperCase()} ${routePath}`);
+    }
+  });
+  return routes;
+}
+
+// "POST /orders" → { kind, signature, required } from an OpenAPI/Swagger document
+function readOpenApiOperations(source, file) {
+  const operations = new Map();
+  let document;
+  try {
+    document = /\.json$/i.test(file) ? JSON.parse(source) : YAML.parse(source);
+  } catch (error) {
+    return operations;
+  }
+  if (!document?.paths || typeof document.paths !== 'object') {
+    return operations;
+  }
+
+  for (const [routePath, item] of Object.entries(document.paths)) {
+    const shared = Array.isArray(item?.parameters) ? item.parameters : [];
+    for (const method of OPENAPI_METHODS.filter(candidate => item?.[candidate])) {
+      const operation = item[method];
+      const parameters = [...shared, ...(Array.isArray(operation.parameters) ? operation.parameters : [])];
+      const required = parameters
+        .filter(parameter => parameter?.required || parameter?.in === 'path')
+        .map(parameter => `${parameter.in}:${parameter.name}`);
+      if (operation.requestBody?.required) {
+        required.push('body');
+      }
+      const name = `${method.toUpperCase()} ${routePath}`;
+      operations.set(name, {
+        kind: 'operation',
+        symbol: name,
+        required,
+        signature: `${name}${required.length > 0 ? ` (requires ${required.join(', ')})` : ''}`
+      });
+    }
+  }
+  return operations;
+}
+
+function compareEntries(before, after, compare) {
+  const changes = [];
+  for (const [key, entry] of before) {
+    const next = after.get(key);
+    if (!next) {
+      changes.push({ kind: entry.kind, change: 'removed', symbol: entry.symbol, file: entry.file, before: entry.signature, after: null, breaking: true, reason: `${entry.kind} removed` });
+    } else if (next.signature !== entry.signature || next.kind !== entry.kind) {
+      const { breaking, reason } = compare(entry, next) || { breaking: false, reason: 'definition changed' };
+      changes.push({ kind: next.kind, change: 'changed', symbol: next.symbol, file: next.file, before: entry.signature, after: next.signature, breaking, reason });
+    }
+  }
+  for (const [key, entry] of after) {
+    if (!before.has(key)) {
+      changes.push({ kind: entry.kind, change: 'added', symbol: entry.symbol, file: entry.file, before: null, after: entry.signature, breaking: false, reason: `new ${entry.kind}` });
+    }
+  }
+  return changes;
+}
+
+function compareSignatures(before, after) {
+  if (before.kind !== after.kind) {
+    return { breaking: true, reason: `${before.kind} became ${after.kind}` };
+  }
+  if (before.params && after.params) {
+    const required = params => params.filter(param => !param.optional).length;
+    if (required(after.params) > required(before.params)) {
+      return { breaking: true, reason: 'new required parameter' };
+    }
+    if (after.params.length < before.params.length) {
+      return { breaking: true, reason: 'parameter removed' };
+    }
+    return { breaking: false, reason: 'optional parameters or types changed' };
+  }
+  return { breaking: false, reason: `${after.kind} definition changed` };
+}
+
+function compareOperations(before, after) {
+  const added = after.required.filter(requirement => !before.required.includes(requirement));
+  return added.length > 0 ?
+    { breaking: true, reason: `now requires ${added.join(', ')}` } :
+    { breaking: false, reason: 'operation changed' };
+}
+
+// "removed function charge(amount) (src/pay.js)" / "changed GET /users: a → b"
+export function formatApiChange(change) {
+  const label = change.kind === 'route' || change.kind === 'operation' ? change.symbol : `${change.kind} ${change.symbol}`;
+  const detail = change.change === 'changed' ? `: ${change.before} → ${change.after}` :
+    change.kind === 'route' || change.kind === 'operation' ? '' : `: ${change.before || change.after}`;
+  return `${change.breaking ? '[breaking] ' : ''}${change.change} ${label}${detail} (${change.file}${change.change === 'changed' ? `; ${change.reason}` : ''})`;
+}
+
+// Prompt section for range-level API diffs (one per repository)
+export function formatApiContext(apiDiffs, max = 40) {
+  const changes = apiDiffs.flatMap(diff => diff.changes.map(change => ({ ...change, repository: diff.repository })));
+  if (changes.length === 0) {
+    return '';
+  }
+  const multiRepo = new Set(apiDiffs.map(diff => diff.repository)).size > 1;
+  return `API CHANGES (exported symbols, HTTP routes and OpenAPI operations; ${changes.filter(change => change.breaking).length} breaking):
+${changes.slice(0, max).map(change => `- ${multiRepo ? `[${change.repository}] ` : ''}${formatApiChange(change)}`).join('\n')}${changes.length > max ? `\n- ...and ${changes.length - max} more` : ''}`;
+}
@@ -0,0 +1,129 @@
+import { findLastTag } from './releases.js';
+
+// Resolves non-interactive commit range options (--since/--until/--from/--to/--range/--since-last-tag)
+// into git log arguments. Returns null when no range option was given so the
+// caller can fall back to the interactive commit picker.
+
+const RELATIVE_DATE_PATTERN = /^\d+\s+(second|minute|hour|day|week|month|year)s?\s+ago$/i;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export function hasRangeOptions(options = {}) {
+  return Boolean(options.since || options.until || options.from || options.to || options.range || options.sinceLastTag);
+}
+
+export async function resolveCommitRange(git, options = {}) {
+  if (!hasRangeOptions(options)) {
+    return null;
+  }
+
+  if (options.range && (options.from || options.to)) {
+    throw new Error('Use either --range or --from/--to, not both');
+  }
+  if (options.sinceLastTag && (options.range || options.from)) {
+    throw new Error('--since-last-tag sets the range start itself; drop --from/--range');
+  }
+
+  const since = options.since ? validateDate(options.since, '--since') : undefined;
+  const until = options.until ? validateDate(options.until, '--until') : undefined;
+
+  // git reads a bare date as "that day at the current time", so pin it to day bounds
+  const sinceArg = since && DATE_ONLY_PATTERN.test(since) ? `${since} 00:00:00` : since;
+  const untilArg = until && DATE_ONLY_PATTERN.test(until) ? `${until} 23:59:59` : until;
+
+  if (since && until && !isRelativeDate(since) && !isRelativeDate(until) &&
+    new Date(since) > new Date(until)) {
+    throw new Error(`Invalid date range: --since ${since} is after --until ${until}`);
+  }
+
+  let fromRef = options.from;
+  let toRef = options.to;
+
+  if (options.range) {
+    const parsed = parseRangeSpec(options.range);
+    fromRef = parsed.from;
+    toRef = parsed.to;
+  }
+
+  // Most recent tag reachable from the range end (matching --tag-pattern)
+  if (options.sinceLastTag) {
+    fromRef = await findLastTag(git, toRef || 'HEAD', options.tagPattern);
+  }
+
+  const from = fromRef ? await verifyRef(git, fromRef) : null;
+  const to = await verifyRef(git, toRef || 'HEAD');
+
+  const logArgs = [from ? `${from}..${to}` : to];
+  if (since) logArgs.push(`--since=${sinceArg}`);
+  if (until) logArgs.push(`--until=${untilArg}`);
+
+  return {
+    from,
+    to,
+    fromRef: fromRef || null,
+    toRef: toRef || 'HEAD',
+    since,
+    until,
+    logArgs,
+    label: describeRange({ fromRef, toRef, since, until })
+  };
+}
+
+// Accepts "a..b", "a.." (to HEAD) and "..b" (from the root). Symmetric
+// differences ("a...b") are rejected because the story needs a linear direction.
+function parseRangeSpec(spec) {
+  if (spec.includes('...')) {
+    throw new Error(`Unsupported range "${spec}": use "from..to" instead of "from...to"`);
+  }
+
+  const parts = spec.split('..');
+  if (parts.length !== 2) {
+    throw new Error(`Invalid range "${spec}": expected "from..to"`);
+  }
+
+  const [from, to] = parts.map(part => part.trim());
+  return {
+    from: from || undefined,
+    to: to || undefined
+  };
+}
+
+async function verifyRef(git, ref) {
+  try {
+    const hash = (await git.revparse(['--verify', `${ref}^{commit}`])).trim();
+    if (hash) {
+      return hash;
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new Error(`Cannot resolve "${ref}" to a commit`);
+}
+
+function validateDate(value, flag) {
+  const date = String(value).trim();
+  if (isRelativeDate(date) || !Number.isNaN(Date.parse(date))) {
+    return date;
+  }
+  throw new Error(`Invalid ${flag} date "${value}": use YYYY-MM-DD, an ISO timestamp or "N days ago"`);
+}
+
+function isRelativeDate(value) {
+  return RELATIVE_DATE_PATTERN.test(value);
+}
+
+function describeRange({ fromRef, toRef, since, until }) {
+  const parts = [];
+  if (fromRef) {
+    parts.push(`${fromRef}..${toRef || 'HEAD'}`);
+  } else if (toRef) {
+    parts.push(`up to ${toRef}`);
+  }
+  if (since && until) {
+    parts.push(`${since} → ${until}`);
+  } else if (since) {
+    parts.push(`since ${since}`);
+  } else if (until) {
+    parts.push(`until ${until}`);
+  }
+  return parts.join(', ');
+}
@@ -0,0 +1,377 @@
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import { parse } from '@babel/parser';
+
+// AST-based complexity metrics for JavaScript/TypeScript. Each changed file is
+// parsed at the commit's parent and at the commit itself, and per-function
+// cyclomatic complexity, nesting depth and length plus the file's exported symbol
+// count are compared, so slides can say "handlePayment complexity 14 → 6".
+
+const SOURCE_PATTERN = /\.(m?jsx?|cjs|tsx?|mts|cts)$/;
+const DECLARATION_PATTERN = /\.d\.(m|c)?ts$/;
+// Larger files are usually bundles or fixtures; parsing them tells us little
+const MAX_FILE_BYTES = 512 * 1024;
+const MAX_FILES = 40;
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ObjectMethod',
+  'ClassMethod',
+  'ClassPrivateMethod'
+]);
+
+const BRANCH_TYPES = new Set([
+  'IfStatement',
+  'ConditionalExpression',
+  'ForStatement',
+  'ForInStatement',
+  'ForOfStatement',
+  'WhileStatement',
+  'DoWhileStatement',
+  'CatchClause'
+]);
+
+const NESTING_TYPES = new Set([
+  'IfStatement',
+  'ForStatement',
+  'ForInStatement',
+  'ForOfStatement',
+  'WhileStatement',
+  'DoWhileStatement',
+  'SwitchStatement',
+  'TryStatement'
+]);
+
+const SKIPPED_KEYS = new Set(['parentNode', 'loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments', 'comments', 'tokens']);
+
+export function isMeasurableSource(file) {
+  return SOURCE_PATTERN.test(file) && !DECLARATION_PATTERN.test(file);
+}
+
+// Babel AST for a JS/TS module; TypeScript and JSX are enabled by file extension
+export function parseModule(code, file) {
+  return parse(code, {
+    sourceType: 'unambiguous',
+    errorRecovery: true,
+    plugins: [
+      ...(/\.(m|c)?tsx?$/.test(file) ? ['typescript'] : []),
+      ...(/\.(m|c)?ts$/.test(file) ? [] : ['jsx']),
+      'decorators-legacy'
+    ]
+  });
+}
+
+// { functions: [{ name, line, complexity, nesting, length }], exports } or { error }
+export function measureSource(code, file) {
+  let ast;
+  try {
+    ast = parseModule(code, file);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  // Parent links are set by the walk, so functions are measured once it is done
+  const functionNodes = [];
+  walkAst(ast.program, node => {
+    if (FUNCTION_TYPES.has(node.type)) functionNodes.push(node);
+  });
+  const functions = functionNodes.map(measureFunction);
+
+  // Functions sharing a name (overloads, callbacks) are told apart by a counter
+  const seen = {};
+  for (const fn of functions) {
+    seen[fn.name] = (seen[fn.name] || 0) + 1;
+    if (seen[fn.name] > 1) fn.name = `${fn.name}#${seen[fn.name]}`;
+  }
+
+  return { functions, exports: countExports(ast.program) };
+}
+
+// Calls visit(node) for every node, outermost first, and links each to its parent
+export function walkAst(node, visit) {
+  visit(node);
+  for (const child of childNodes(node)) {
+    child.parentNode = node;
+    walkAst(child, visit);
+  }
+}
+
+function childNodes(node) {
+  return Object.entries(node)
+    .filter(([key, value]) => !SKIPPED_KEYS.has(key) && value && typeof value === 'object')
+    .flatMap(([, value]) => Array.isArray(value) ? value : [value])
+    .filter(child => child && typeof child.type === 'string');
+}
+
+function measureFunction(fn) {
+  let complexity = 1;
+  let nesting = 0;
+
+  // Nested functions are measured on their own and not counted here
+  const visit = (node, depth) => {
+    if (node !== fn && FUNCTION_TYPES.has(node.type)) return;
+
+    if (BRANCH_TYPES.has(node.type)) complexity++;
+    if (node.type === 'SwitchCase' && node.test) complexity++;
+    if (node.type === 'LogicalExpression') complexity++;
+    if (node.type === 'AssignmentExpression' && ['&&=', '||=', '??='].includes(node.operator)) complexity++;
+
+    // "else if" continues the chain rather than nesting deeper
+    const elseIf = node.type === 'IfStatement' && node.parentNode?.type === 'IfStatement' && node.parentNode.alternate === node;
+    const childDepth = NESTING_TYPES.has(node.type) && !elseIf ? depth + 1 : depth;
+    nesting = Math.max(nesting, childDepth);
+
+    childNodes(node).forEach(child => visit(child, childDepth));
+  };
+  visit(fn.body, 0);
+
+  return {
+    name: functionName(fn),
+    line: fn.loc.start.line,
+    complexity,
+    nesting,
+    length: fn.loc.end.line - fn.loc.start.line + 1
+  };
+}
+
+function functionName(fn) {
+  const parent = fn.parentNode;
+  const keyName = key => key?.name || key?.value || (key?.type === 'PrivateName' ? `#${key.id.name}` : null);
+
+  if (fn.id?.name) return fn.id.name;
+  if (fn.type === 'ClassMethod' || fn.type === 'ClassPrivateMethod' || fn.type === 'ObjectMethod') {
+    const owner = fn.parentNode?.parentNode?.id?.name;
+    const name = keyName(fn.key) || '<computed>';
+    return owner && fn.type !== 'ObjectMethod' ? `${owner}.${name}` : name;
+  }
+  if (parent?.type === 'VariableDeclarator') return parent.id.name || '<destructured>';
+  if (parent?.type === 'ObjectProperty' || parent?.type === 'ClassProperty') return keyName(parent.key) || '<computed>';
+  if (parent?.type === 'AssignmentExpression') return memberName(parent.left) || '<assigned>';
+  if (parent?.type === 'ExportDefaultDeclaration') return 'default';
+  return `<anonymous:${fn.loc.start.line}>`;
+}
+
+function memberName(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression' && !node.computed) {
+    const object = memberName(node.object);
+    return object ? `${object}.${node.property.name}` : node.property.name;
+  }
+  return null;
+}
+
+// ESM exports plus CommonJS `module.exports = { ... }` / `exports.name = ...`
+function countExports(program) {
+  let count = 0;
+  for (const statement of program.body) {
+    if (statement.type === 'ExportNamedDeclaration') {
+      const declaration = statement.declaration;
+      count += declaration?.type === 'VariableDeclaration' ? declaration.declarations.length : declaration ? 1 : 0;
+      count += statement.specifiers.length;
+    } else if (statement.type === 'ExportDefaultDeclaration' || statement.type === 'ExportAllDeclaration') {
+      count++;
+    } else if (statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression') {
+      const target = memberName(statement.expression.left) || '';
+      if (target === 'module.exports') {
+        const value = statement.expression.right;
+        count += value.type === 'ObjectExpression' ? value.properties.length : 1;
+      } else if (/^(module\.)?exports\.\w+$/.test(target)) {
+        count++;
+      }
+    }
+  }
+  return count;
+}
+
+// Blob contents for "rev:path" specs through one `git cat-file --batch`; missing
+// blobs (added/deleted files, root commits) and blobs over maxBytes come back as null
+export async function readBlobs(repoPath, specs, { maxBytes = MAX_FILE_BYTES } = {}) {
+  const blobs = new Map();
+  if (specs.length === 0) {
+    return blobs;
+  }
+
+  const child = spawn('git', ['cat-file', '--batch'], { cwd: repoPath, stdio: ['pipe', 'pipe', 'ignore'] });
+  child.stdin.end(specs.map(spec => `${spec}\n`).join(''));
+
+  const chunks = [];
+  child.stdout.on('data', chunk => chunks.push(chunk));
+  await new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('close', resolve);
+  });
+
+  // Each answer is "<oid> <type> <size>\n<content>\n", or "<spec> missing\n"
+  const output = Buffer.concat(chunks);
+  let offset = 0;
+  for (const spec of specs) {
+    const headerEnd = output.indexOf(0x0a, offset);
+    if (headerEnd === -1) break;
+    const header = output.toString('utf8', offset, headerEnd).match(/^[0-9a-f]+ (\w+) (\d+)$/);
+    offset = headerEnd + 1;
+
+    if (!header) {
+      blobs.set(spec, null);
+      continue;
+    }
+    const size = Number(header[2]);
+    blobs.set(spec, header[1] === 'blob' && size <= maxBytes ? output.toString('utf8', offset, offset + size) : null);
+    offset += size + 1;
+  }
+  return blobs;
+}
+
+// Compares JS/TS files between two revisions. `base` is usually "<hash>^"; the
+// file changes say which paths to read and where renamed files came from.
+export async function measureComplexityChanges(repoPath, { base, head, fileChanges }) {
+  const changes = fileChanges.filter(change => isMeasurableSource(change.file));
+  const measured = changes.slice(0, MAX_FILES);
+
+  const specs = measured.flatMap(change => [
+    change.status === 'A' ? null : `${base}:${change.oldPath || change.file}`,
+    change.status === 'D' ? null : `${head}:${change.file}`
+  ]).filter(Boolean);
+  const blobs = await readBlobs(repoPath, specs);
+
+  const files = [];
+  for (const change of measured) {
+    const beforeSource = change.status === 'A' ? null : blobs.get(`${base}:${change.oldPath || change.file}`);
+    const afterSource = change.status === 'D' ? null : blobs.get(`${head}:${change.file}`);
+    const before = beforeSource ? measureSource(beforeSource, change.oldPath || change.file) : null;
+    const after = afterSource ? measureSource(afterSource, change.file) : null;
+
+    if (before?.error || after?.error) {
+      files.push({ file: change.file, error: (after?.error || before?.error) });
+      continue;
+    }
+    files.push(compareFile(change, before, after));
+  }
+
+  return {
+    files,
+    skipped: changes.length - measured.length,
+    totals: totalize(files)
+  };
+}
+
+function compareFile(change, before, after) {
+  const beforeByName = new Map((before?.functions || []).map(fn => [fn.name, fn]));
+  const afterByName = new Map((after?.functions || []).map(fn => [fn.name, fn]));
+  const names = [...new Set([...beforeByName.keys(), ...afterByName.keys()])];
+  const metrics = fn => fn ? { complexity: fn.complexity, nesting: fn.nesting, length: fn.length } : null;
+
+  const functions = names
+    .map(name => ({ name, before: metrics(beforeByName.get(name)), after: metrics(afterByName.get(name)) }))
+    .filter(fn => JSON.stringify(fn.before) !== JSON.stringify(fn.after))
+    .sort((a, b) => Math.abs(complexityDelta(b)) - Math.abs(complexityDelta(a)));
+
+  return {
+    file: change.file,
+    oldPath: change.oldPath || null,
+    status: change.status,
+    exports: { before: before?.exports ?? 0, after: after?.exports ?? 0 },
+    complexity: {
+      before: sumComplexity(before),
+      after: sumComplexity(after)
+    },
+    functions
+  };
+}
+
+function sumComplexity(measurement) {
+  return (measurement?.functions || []).reduce((sum, fn) => sum + fn.complexity, 0);
+}
+
+function complexityDelta(fn) {
+  return (fn.after?.complexity || 0) - (fn.before?.complexity || 0);
+}
+
+function totalize(files) {
+  const measured = files.filter(file => !file.error);
+  return {
+    complexityBefore: measured.reduce((sum, file) => sum + file.complexity.before, 0),
+    complexityAfter: measured.reduce((sum, file) => sum + file.complexity.after, 0),
+    exportsBefore: measured.reduce((sum, file) => sum + file.exports.before, 0),
+    exportsAfter: measured.reduce((sum, file) => sum + file.exports.after, 0),
+    functionsAdded: measured.reduce((sum, file) => sum + file.functions.filter(fn => !fn.before).length, 0),
+    functionsRemoved: measured.reduce((sum, file) => sum + file.functions.filter(fn => !fn.after).length, 0)
+  };
+}
+
+// Revisions to compare for a commit, or for a pull request unit from before its
+// oldest commit to its newest (units without commits in range use the merge)
+export function complexityRange(commit) {
+  const members = commit.isPullRequest ? commit.commits : [];
+  if (members.length > 0) {
+    return { base: `${members[members.length - 1].hash}^`, head: members[0].hash };
+  }
+  return { base: `${commit.hash}^`, head: commit.hash };
+}
+
+// Sets commit.complexity on commits and pull request units that touch JS/TS files.
+// Reports are cached per commit and measured file list.
+export async function attachComplexity(commits, repoPath, cache = null) {
+  let measured = 0;
+  for (const commit of commits) {
+    const fileChanges = commit.fileChanges.filter(change => isMeasurableSource(change.file));
+    if (fileChanges.length === 0) continue;
+
+    const files = crypto.createHash('sha1').update(fileChanges.map(change => change.file).join('\n')).digest('hex').slice(0, 12);
+    const key = `complexity:${files}`;
+    let report = await cache?.readAnalysis(commit.hash, key);
+    if (!report) {
+      report = await measureComplexityChanges(repoPath, { ...complexityRange(commit), fileChanges });
+      await cache?.writeAnalysis(commit.hash, key, report);
+    }
+    commit.complexity = report;
+    measured++;
+  }
+  return measured;
+}
+
+// Function-level changes across commits, largest complexity change first
+export function collectComplexityChanges(commits) {
+  return commits
+    .flatMap(commit => (commit.complexity?.files || [])
+      .filter(file => !file.error)
+      .flatMap(file => file.functions.map(fn => ({ ...fn, file: file.file, commit }))))
+    .sort((a, b) => Math.abs(complexityDelta(b)) - Math.abs(complexityDelta(a)));
+}
+
+// "handlePayment (src/pay.js): complexity 14 → 6, nesting 4 → 2, length 80 → 35 lines"
+export function formatFunctionChange(fn) {
+  const location = fn.file ? ` (${fn.file})` : '';
+  const lines = count => `${count} ${count === 1 ? 'line' : 'lines'}`;
+  if (!fn.before) {
+    return `${fn.name}${location}: new, complexity ${fn.after.complexity}, nesting ${fn.after.nesting}, ${lines(fn.after.length)}`;
+  }
+  if (!fn.after) {
+    return `${fn.name}${location}: removed (was complexity ${fn.before.complexity}, ${lines(fn.before.length)})`;
+  }
+  const parts = [
+    ['complexity', fn.before.complexity, fn.after.complexity, ''],
+    ['nesting', fn.before.nesting, fn.after.nesting, ''],
+    ['length', fn.before.length, fn.after.length, ' lines']
+  ]
+    .filter(([, before, after]) => before !== after)
+    .map(([label, before, after, unit]) => `${label} ${before} → ${after}${unit}`);
+  return `${fn.name}${location}: ${parts.join(', ')}`;
+}
+
+// Prompt lines for one commit: totals, export count changes and the top function deltas
+export function formatComplexityDetails(commit, maxFunctions = 5) {
+  const report = commit.complexity;
+  if (!report || report.files.length === 0) {
+    return '';
+  }
+
+  const lines = [`Complexity (parsed JS/TS): ${report.totals.complexityBefore} → ${report.totals.complexityAfter} total across ${report.files.length} ${report.files.length === 1 ? 'file' : 'files'}`];
+  for (const file of report.files.filter(entry => !entry.error && entry.exports.before !== entry.exports.after)) {
+    lines.push(`  ${file.file}: exported symbols ${file.exports.before} → ${file.exports.after}`);
+  }
+  const functions = collectComplexityChanges([commit]).slice(0, maxFunctions);
+  lines.push(...functions.map(fn => `  ${formatFunctionChange(fn)}`));
+  return lines.join('\n');
+}
@@ -0,0 +1,123 @@
+// Conventional Commits parser (https://www.conventionalcommits.org): type,
+// optional scope, the "!" breaking marker and BREAKING CHANGE footers.
+
+const HEADER_PATTERN = /^(\w+)(?:\(([^()]*)\))?(!)?:\s*(.+)$/;
+const BREAKING_FOOTER_PATTERN = /^BREAKING[ -]CHANGE:\s*/;
+const FOOTER_TOKEN_PATTERN = /^([\w-]+|BREAKING CHANGE)(?::\s|\s#)/;
+const GIT_REVERT_PATTERN = /^Revert "(.+)"$/;
+
+// Conventional type → changeType used across prompts and slides
+export const CONVENTIONAL_TYPES = {
+  feat: 'feature',
+  feature: 'feature',
+  fix: 'bugfix',
+  docs: 'documentation',
+  doc: 'documentation',
+  test: 'testing',
+  tests: 'testing',
+  refactor: 'refactoring',
+  perf: 'performance',
+  build: 'build',
+  ci: 'ci',
+  chore: 'maintenance',
+  style: 'style',
+  revert: 'revert'
+};
+
+export function parseConventionalCommit(message = '', body = '') {
+  const header = message.split('\n')[0].trim();
+  const breakingNotes = parseBreakingFooters(body);
+
+  const gitRevert = header.match(GIT_REVERT_PATTERN);
+  if (gitRevert) {
+    return {
+      isConventional: false,
+      type: 'revert',
+      scope: null,
+      description: gitRevert[1],
+      breaking: breakingNotes.length > 0,
+      breakingNotes
+    };
+  }
+
+  const match = header.match(HEADER_PATTERN);
+  const type = match?.[1].toLowerCase();
+
+  if (!match || !CONVENTIONAL_TYPES[type]) {
+    return {
+      isConventional: false,
+      type: null,
+      scope: null,
+      description: header,
+      breaking: breakingNotes.length > 0,
+      breakingNotes
+    };
+  }
+
+  const [, , scope, bang, description] = match;
+  return {
+    isConventional: true,
+    type,
+    scope: scope?.trim() || null,
+    description: description.trim(),
+    breaking: Boolean(bang) || breakingNotes.length > 0,
+    // A bare "!" without a footer uses the description as the breaking note
+    breakingNotes: breakingNotes.length > 0 ? breakingNotes : (bang ? [description.trim()] : [])
+  };
+}
+
+// BREAKING CHANGE footers may wrap onto following lines until the next footer token
+function parseBreakingFooters(body = '') {
+  const notes = [];
+  let current = null;
+
+  for (const line of body.split('\n')) {
+    if (BREAKING_FOOTER_PATTERN.test(line)) {
+      current = [line.replace(BREAKING_FOOTER_PATTERN, '').trim()];
+      notes.push(current);
+    } else if (current && line.trim() && !FOOTER_TOKEN_PATTERN.test(line)) {
+      current.push(line.trim());
+    } else {
+      current = null;
+    }
+  }
+
+  return notes.map(lines => lines.join(' ')).filter(Boolean);
+}
+
+export function getChangeTypeForConventional(type) {
+  return CONVENTIONAL_TYPES[type] || null;
+}
+
+// Commits (or PR units) flagged as breaking, oldest first
+export function collectBreakingChanges(commits) {
+  return commits
+    .filter(commit => commit.conventional?.breaking)
+    .reverse();
+}
+
+// Commits grouped by conventional scope, largest scope first; unscoped commits are left out
+export function groupCommitsByScope(commits) {
+  const scopes = new Map();
+  for (const commit of commits) {
+    const scope = commit.conventional?.scope;
+    if (!scope) continue;
+    if (!scopes.has(scope)) scopes.set(scope, []);
+    scopes.get(scope).push(commit);
+  }
+  return [...scopes.entries()]
+    .map(([scope, scopeCommits]) => ({ scope, commits: scopeCommits }))
+    .sort((a, b) => b.commits.length - a.commits.length);
+}
+
+// Prompt lines for a commit's scope and breaking notes
+export function formatConventionalDetails(commit) {
+  const lines = [];
+  if (commit.conventional?.scope) {
+    lines.push(`Scope: ${commit.conventional.scope}`);
+  }
+  for (const note of commit.conventional?.breakingNotes || []) {
+    lines.push(`BREAKING CHANGE: ${note}`);
+  }
+  return lines.join('\n');
+}
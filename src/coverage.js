@@ -0,0 +1,217 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { readBlobs } from './complexity.js';
+
+// Line coverage at the start and end of a range, from lcov.info, Istanbul JSON
+// (coverage-summary.json or coverage-final.json) or Cobertura XML. Reports come
+// from --coverage-before/--coverage-after or, failing that, from a report
+// committed to the repository at the range's start and end refs.
+
+// Committed report locations, checked in order
+const COMMITTED_REPORTS = [
+  'coverage/lcov.info',
+  'coverage/coverage-summary.json',
+  'coverage/coverage-final.json',
+  'coverage/cobertura-coverage.xml',
+  'coverage.xml',
+  'lcov.info'
+];
+const MAX_REPORT_BYTES = 32 * 1024 * 1024;
+
+export const DEFAULT_COVERAGE_THRESHOLD = 50;
+
+// { format, source, files: Map<path, { found, hit }> }
+export function parseCoverageReport(text, source = '') {
+  const content = text.replace(/^\uFEFF/, '').trimStart();
+  if (content.startsWith('<')) {
+    return { format: 'cobertura', source, files: parseCobertura(content) };
+  }
+  if (content.startsWith('{')) {
+    return { format: 'istanbul', source, files: parseIstanbul(JSON.parse(content)) };
+  }
+  if (/^(TN|SF):/m.test(content)) {
+    return { format: 'lcov', source, files: parseLcov(content) };
+  }
+  throw new Error(`Unrecognized coverage report ${source}: expected lcov, Istanbul JSON or Cobertura XML`);
+}
+
+export async function readCoverageFile(file) {
+  try {
+    return parseCoverageReport(await fs.readFile(path.resolve(file), 'utf8'), file);
+  } catch (error) {
+    throw new Error(`Failed to read coverage report ${file}: ${error.message}`);
+  }
+}
+
+// The first report committed at `ref`, or null
+export async function readCommittedCoverage(repoPath, ref) {
+  const specs = COMMITTED_REPORTS.map(report => `${ref}:${report}`);
+  const blobs = await readBlobs(repoPath, specs, { maxBytes: MAX_REPORT_BYTES });
+  const spec = specs.find(candidate => blobs.get(candidate));
+  if (!spec) {
+    return null;
+  }
+  const [, report] = spec.split(/:(.+)/);
+  return parseCoverageReport(blobs.get(spec), `${report} at ${ref.substring(0, 7)}`);
+}
+
+function parseLcov(text) {
+  const files = new Map();
+  let current = null;
+  for (const line of text.split(/\r?\n/)) {
+    if (line.startsWith('SF:')) {
+      current = { file: line.slice(3), found: null, hit: null, lines: 0, hitLines: 0 };
+    } else if (!current) {
+      continue;
+    } else if (line.startsWith('DA:')) {
+      current.lines++;
+      if (Number(line.slice(3).split(',')[1]) > 0) current.hitLines++;
+    } else if (line.startsWith('LF:')) {
+      current.found = Number(line.slice(3));
+    } else if (line.startsWith('LH:')) {
+      current.hit = Number(line.slice(3));
+    } else if (line === 'end_of_record') {
+      // LF/LH are summaries of the DA lines; older generators only write DA
+      addFile(files, current.file, current.found ?? current.lines, current.hit ?? current.hitLines);
+      current = null;
+    }
+  }
+  return files;
+}
+
+function parseIstanbul(json) {
+  const files = new Map();
+  for (const [key, entry] of Object.entries(json)) {
+    if (key === 'total' || !entry) continue;
+    if (entry.lines) {
+      // coverage-summary.json
+      addFile(files, key, entry.lines.total, entry.lines.covered);
+    } else if (entry.s) {
+      // coverage-final.json: statement hit counts stand in for lines
+      const counts = Object.values(entry.s);
+      addFile(files, entry.path || key, counts.length, counts.filter(count => count > 0).length);
+    }
+  }
+  return files;
+}
+
+function parseCobertura(xml) {
+  // Lines repeat under <methods>, so hits are keyed by line number per file
+  const hitsByFile = new Map();
+  for (const match of xml.matchAll(/<class\b([^>]*)>([\s\S]*?)<\/class>/g)) {
+    const filename = readAttributes(match[1]).filename;
+    if (!filename) continue;
+    const hits = hitsByFile.get(filename) || new Map();
+    for (const line of match[2].matchAll(/<line\b([^>]*)>/g)) {
+      const attributes = readAttributes(line[1]);
+      hits.set(attributes.number, Math.max(hits.get(attributes.number) || 0, Number(attributes.hits) || 0));
+    }
+    hitsByFile.set(filename, hits);
+  }
+
+  const files = new Map();
+  for (const [file, hits] of hitsByFile) {
+    addFile(files, file, hits.size, [...hits.values()].filter(count => count > 0).length);
+  }
+  return files;
+}
+
+function readAttributes(text) {
+  return Object.fromEntries([...text.matchAll(/([\w:-]+)="([^"]*)"/g)].map(match => [match[1], match[2]]));
+}
+
+function addFile(files, file, found, hit) {
+  const key = file.replace(/\\/g, '/').replace(/^\.\//, '');
+  const existing = files.get(key) || { found: 0, hit: 0 };
+  files.set(key, { found: existing.found + (Number(found) || 0), hit: existing.hit + (Number(hit) || 0) });
+}
+
+// Reports often hold absolute CI paths or paths relative to a source root, so a
+// report entry matches a repository path when either ends with the other
+export function findFileCoverage(report, file) {
+  if (report.files.has(file)) {
+    return report.files.get(file);
+  }
+  for (const [entry, coverage] of report.files) {
+    if (entry.endsWith(`/${file}`) || file.endsWith(`/${entry}`)) {
+      return coverage;
+    }
+  }
+  return null;
+}
+
+function totalCoverage(report) {
+  let found = 0;
+  let hit = 0;
+  for (const coverage of report.files.values()) {
+    found += coverage.found;
+    hit += coverage.hit;
+  }
+  return { found, hit };
+}
+
+function percent(coverage) {
+  return coverage && coverage.found > 0 ? Math.round(1000 * coverage.hit / coverage.found) / 10 : null;
+}
+
+function delta(before, after) {
+  return before !== null && after !== null ? Math.round(10 * (after - before)) / 10 : null;
+}
+
+// Overall and per-file line coverage for the changed files. Either report may be
+// missing; changed files under `threshold` percent at the end are flagged.
+export function compareCoverage(before, after, changedFiles, { threshold = DEFAULT_COVERAGE_THRESHOLD } = {}) {
+  const overallBefore = before ? percent(totalCoverage(before)) : null;
+  const overallAfter = after ? percent(totalCoverage(after)) : null;
+
+  const files = changedFiles
+    .map(file => {
+      const fileBefore = before ? percent(findFileCoverage(before, file)) : null;
+      const fileAfter = after ? percent(findFileCoverage(after, file)) : null;
+      return { file, before: fileBefore, after: fileAfter, delta: delta(fileBefore, fileAfter) };
+    })
+    .filter(entry => entry.before !== null || entry.after !== null)
+    .sort((a, b) => Math.abs(b.delta ?? 0) - Math.abs(a.delta ?? 0));
+
+  return {
+    sources: { before: before?.source || null, after: after?.source || null },
+    overall: { before: overallBefore, after: overallAfter, delta: delta(overallBefore, overallAfter) },
+    files,
+    lowCoverage: files.filter(entry => entry.after !== null && entry.after < threshold).sort((a, b) => a.after - b.after),
+    threshold
+  };
+}
+
+// Changed source files still present at the end of the range
+export function collectChangedSources(commits) {
+  return [...new Set(commits
+    .flatMap(commit => commit.fileChanges || [])
+    .filter(change => change.type === 'source' && change.status !== 'D')
+    .map(change => change.file))];
+}
+
+// "40% → 85% (+45 pts)"; one-sided reports say which side is missing
+export function formatCoverageChange({ before, after, delta: change }) {
+  if (before === null && after === null) return 'unknown';
+  if (before === null) return `${after}% (no earlier report)`;
+  if (after === null) return `${before}% before (no later report)`;
+  return `${before}% → ${after}% (${change >= 0 ? '+' : ''}${change} pts)`;
+}
+
+// Prompt section for per-repository coverage deltas
+export function formatCoverageContext(coverageDiffs, max = 15) {
+  if (coverageDiffs.length === 0) {
+    return '';
+  }
+  const multiRepo = coverageDiffs.length > 1;
+  return `TEST COVERAGE (line coverage from coverage reports, authoritative):
+${coverageDiffs.map(coverage => {
+    const prefix = multiRepo ? `[${coverage.repository}] ` : '';
+    const lines = [`- ${prefix}Overall: ${formatCoverageChange(coverage.overall)}`];
+    lines.push(...coverage.files.slice(0, max).map(entry => `- ${prefix}${entry.file}: ${formatCoverageChange(entry)}`));
+    if (coverage.lowCoverage.length > 0) {
+      lines.push(`- ${prefix}Changed files under ${coverage.threshold}%: ${coverage.lowCoverage.slice(0, max).map(entry => `${entry.file} (${entry.after}%)`).join(', ')}`);
+    }
+    return lines.join('\n');
+  }).join('\n')}`;
+}
@@ -0,0 +1,417 @@
+import path from 'path';
+import crypto from 'crypto';
+import YAML from 'yaml';
+import { readBlobs, complexityRange } from './complexity.js';
+import { resolveRangeBase } from './apiSurface.js';
+
+// Dependency changes between the range's start and end refs, read from the
+// manifests themselves: package.json with its lockfile (package-lock.json,
+// npm-shrinkwrap.json, pnpm-lock.yaml or yarn.lock), requirements*.txt, go.mod
+// and Cargo.toml. npm dependencies are the ones package.json declares, with the
+// lockfile's resolved version when there is one, so transitive churn stays out.
+
+const NPM_LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json', 'pnpm-lock.yaml', 'yarn.lock'];
+const REQUIREMENTS_PATTERN = /^requirements[^/]*\.txt$/i;
+const NPM_DEPENDENCY_FIELDS = {
+  dependencies: 'prod',
+  devDependencies: 'dev',
+  peerDependencies: 'peer',
+  optionalDependencies: 'optional'
+};
+// Lockfiles of large monorepos run to tens of megabytes
+const MAX_MANIFEST_BYTES = 64 * 1024 * 1024;
+
+export function isDependencyManifest(file) {
+  const name = path.posix.basename(file);
+  return name === 'package.json' || NPM_LOCKFILES.includes(name) || REQUIREMENTS_PATTERN.test(name) ||
+    name === 'go.mod' || name === 'Cargo.toml';
+}
+
+// Range-level diff: every manifest changed between the range start (or the empty
+// tree before a root commit) and the newest commit
+export async function diffRangeDependencies(git, repoPath, { base, head, pathspecs = [] }) {
+  const resolvedBase = await resolveRangeBase(git, base);
+  const output = await git.raw(['diff', '--name-only', '-z', '--no-renames', resolvedBase, head, '--', ...pathspecs]);
+  return diffDependencies(repoPath, { base: resolvedBase, head, files: output.split('\0') });
+}
+
+// { base, head, manifests, changes } over the manifests among `files`. A side that
+// doesn't exist (a root commit's parent) has no dependencies.
+export async function diffDependencies(repoPath, { base, head, files }) {
+  const changed = files.filter(file => file && isDependencyManifest(file) && !/(^|\/)node_modules\//.test(file));
+
+  // package.json and its lockfile are one npm project, keyed by directory
+  const npmProjects = [...new Set(changed.filter(isNpmFile).map(file => path.posix.dirname(file)))];
+  const otherManifests = changed.filter(file => !isNpmFile(file));
+
+  // Lockfiles may sit in any ancestor directory (workspaces share the root one)
+  const npmFiles = npmProjects.flatMap(directory => [
+    joinPath(directory, 'package.json'),
+    ...ancestors(directory).flatMap(ancestor => NPM_LOCKFILES.map(lockfile => joinPath(ancestor, lockfile)))
+  ]);
+  const specs = [...new Set([...npmFiles, ...otherManifests])].flatMap(file => [`${base}:${file}`, `${head}:${file}`]);
+  const blobs = await readBlobs(repoPath, specs, { maxBytes: MAX_MANIFEST_BYTES });
+  const read = (ref, file) => blobs.get(`${ref}:${file}`) || null;
+
+  const changes = [];
+  for (const directory of npmProjects) {
+    const manifest = joinPath(directory, 'package.json');
+    const before = readNpmProject(directory, file => read(base, file));
+    const after = readNpmProject(directory, file => read(head, file));
+    changes.push(...compareDependencies(before, after, { ecosystem: 'npm', manifest }));
+  }
+  for (const manifest of otherManifests) {
+    const parse = selectParser(manifest);
+    const before = safeParse(parse, read(base, manifest));
+    const after = safeParse(parse, read(head, manifest));
+    changes.push(...compareDependencies(before, after, { ecosystem: ecosystemOf(manifest), manifest }));
+  }
+
+  changes.sort((a, b) => Number(b.major) - Number(a.major) || CHANGE_ORDER[a.change] - CHANGE_ORDER[b.change] || a.name.localeCompare(b.name));
+  return { base, head, manifests: [...new Set(changes.map(change => change.manifest))], changes };
+}
+
+// Sets commit.dependencyChanges on commits and pull request units that touch a
+// manifest or lockfile (lockfiles are generated churn, so their paths are read
+// from there). Cached per commit. Returns how many commits changed dependencies.
+export async function attachDependencyChanges(commits, repoPath, cache = null) {
+  let changed = 0;
+  for (const commit of commits) {
+    const members = commit.isPullRequest && commit.commits.length > 0 ? commit.commits : [commit];
+    const files = [
+      ...(commit.fileChanges || []).map(change => change.file),
+      ...members.flatMap(member => member.generatedChurn?.paths || [])
+    ].filter(isDependencyManifest);
+    if (files.length === 0) continue;
+
+    const { base, head } = complexityRange(commit);
+    const key = `dependencies:${crypto.createHash('sha1').update(`${base}\n${files.join('\n')}`).digest('hex').slice(0, 12)}`;
+    let report = await cache?.readAnalysis(head, key);
+    if (!report) {
+      report = await diffDependencies(repoPath, { base, head, files });
+      await cache?.writeAnalysis(head, key, report);
+    }
+    if (report.changes.length > 0) {
+      commit.dependencyChanges = report.changes;
+      changed++;
+    }
+  }
+  return changed;
+}
+
+const CHANGE_ORDER = { upgraded: 0, downgraded: 1, added: 2, removed: 3, changed: 4 };
+
+function isNpmFile(file) {
+  const name = path.posix.basename(file);
+  return name === 'package.json' || NPM_LOCKFILES.includes(name);
+}
+
+function joinPath(directory, file) {
+  return directory === '.' ? file : `${directory}/${file}`;
+}
+
+// The directory itself first, then each parent up to the repository root
+function ancestors(directory) {
+  const list = [directory];
+  while (list[list.length - 1] !== '.') {
+    list.push(path.posix.dirname(list[list.length - 1]));
+  }
+  return list;
+}
+
+function ecosystemOf(manifest) {
+  const name = path.posix.basename(manifest);
+  if (name === 'go.mod') return 'go';
+  if (name === 'Cargo.toml') return 'cargo';
+  return 'pip';
+}
+
+function selectParser(manifest) {
+  const name = path.posix.basename(manifest);
+  if (name === 'go.mod') return parseGoMod;
+  if (name === 'Cargo.toml') return parseCargoToml;
+  return parseRequirements;
+}
+
+// A manifest that doesn't parse at one end counts as having no dependencies there
+function safeParse(parse, text) {
+  if (!text) return new Map();
+  try {
+    return parse(text);
+  } catch (error) {
+    return new Map();
+  }
+}
+
+// Map<name, { version, kind }> for one npm project at one ref: declared ranges
+// from package.json, replaced by the nearest lockfile's resolved versions
+function readNpmProject(directory, read) {
+  const declared = safeParse(parsePackageJson, read(joinPath(directory, 'package.json')));
+  const lockfile = ancestors(directory)
+    .flatMap(ancestor => NPM_LOCKFILES.map(name => ({ ancestor, name, text: read(joinPath(ancestor, name)) })))
+    .find(candidate => candidate.text);
+  if (!lockfile) {
+    return declared;
+  }
+
+  let resolve;
+  try {
+    resolve = readLockfile(lockfile.name, lockfile.text);
+  } catch (error) {
+    return declared;
+  }
+  // Workspace packages are importers of the shared lockfile, by path from its directory
+  const importer = lockfile.ancestor === '.' ? directory : path.posix.relative(lockfile.ancestor, directory);
+  const resolved = new Map();
+  for (const [name, entry] of declared) {
+    resolved.set(name, { ...entry, version: resolve(name, entry.version, importer === '.' ? '' : importer) || entry.version });
+  }
+  return resolved;
+}
+
+export function parsePackageJson(text) {
+  const json = JSON.parse(text);
+  const dependencies = new Map();
+  for (const [field, kind] of Object.entries(NPM_DEPENDENCY_FIELDS)) {
+    for (const [name, version] of Object.entries(json[field] || {})) {
+      // A package listed as both peer and dev keeps the first (stronger) kind
+      if (!dependencies.has(name)) dependencies.set(name, { version: String(version), kind });
+    }
+  }
+  return dependencies;
+}
+
+// (name, range, importer) => resolved version or null
+function readLockfile(name, text) {
+  if (name === 'yarn.lock') return readYarnLock(text);
+  if (name === 'pnpm-lock.yaml') return readPnpmLock(text);
+  return readPackageLock(text);
+}
+
+function readPackageLock(text) {
+  const lock = JSON.parse(text);
+  return (name, range, importer) => {
+    if (lock.packages) {
+      // lockfileVersion 2/3: workspace-local install first, then the hoisted one
+      const local = importer ? lock.packages[`${importer}/node_modules/${name}`] : null;
+      return (local || lock.packages[`node_modules/${name}`])?.version || null;
+    }
+    return lock.dependencies?.[name]?.version || null;
+  };
+}
+
+function readPnpmLock(text) {
+  const lock = YAML.parse(text) || {};
+  return (name, range, importer) => {
+    // v5.3 and earlier keep a single project's dependencies at the top level
+    const project = lock.importers ? lock.importers[importer || '.'] : lock;
+    for (const field of Object.keys(NPM_DEPENDENCY_FIELDS)) {
+      const entry = project?.[field]?.[name];
+      if (entry) {
+        // "18.2.0(react@18.2.0)" and "18.2.0_react@18.2.0" carry peer suffixes
+        return String(typeof entry === 'object' ? entry.version : entry).split(/[(_]/)[0];
+      }
+    }
+    return null;
+  };
+}
+
+// Classic ("react@^18.2.0", react@^18.0.0: / version "18.2.0") and Berry
+// ("react@npm:^18.2.0": / version: 18.2.0) formats
+function readYarnLock(text) {
+  const bySpec = new Map();
+  const byName = new Map();
+  let specs = null;
+  for (const line of text.split(/\r?\n/)) {
+    if (line && !/^[\s#]/.test(line) && line.endsWith(':')) {
+      specs = line.slice(0, -1).replace(/^"|"$/g, '').split(/,\s*/).map(spec => spec.replace(/^"|"$/g, ''));
+      continue;
+    }
+    const version = specs && line.match(/^\s+version:?\s+"?([^"\s]+)"?\s*$/);
+    if (!version) continue;
+    for (const spec of specs) {
+      const at = spec.indexOf('@', 1);
+      if (at === -1) continue;
+      bySpec.set(spec, version[1]);
+      const name = spec.slice(0, at);
+      byName.set(name, [...(byName.get(name) || []), version[1]]);
+    }
+    specs = null;
+  }
+  return (name, range) =>
+    bySpec.get(`${name}@${range}`) || bySpec.get(`${name}@npm:${range}`) ||
+    (byName.get(name) || []).sort((a, b) => compareVersions(parseVersion(b), parseVersion(a)))[0] || null;
+}
+
+// requirements.txt: pinned (==) versions or the specifier as written; options,
+// includes and URLs are skipped
+export function parseRequirements(text) {
+  const dependencies = new Map();
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/(^|\s)#.*$/, '').split(';')[0].trim();
+    if (!line || line.startsWith('-') || line.includes('://')) continue;
+    const match = line.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)(\[[^\]]*\])?\s*(.*)$/);
+    if (!match) continue;
+    // PEP 503 normalization: Django, django and DJANGO are one project
+    const name = match[1].toLowerCase().replace(/[-_.]+/g, '-');
+    const spec = match[3].replace(/\s+/g, '');
+    dependencies.set(name, { version: spec.startsWith('==') ? spec.slice(2) : spec || '*', kind: 'prod' });
+  }
+  return dependencies;
+}
+
+// go.mod require lines and blocks; "// indirect" marks transitive requirements
+export function parseGoMod(text) {
+  const dependencies = new Map();
+  let inBlock = false;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (/^require\s*\($/.test(line)) {
+      inBlock = true;
+      continue;
+    }
+    if (inBlock && line === ')') {
+      inBlock = false;
+      continue;
+    }
+    const requirement = inBlock ? line : line.match(/^require\s+(.+)$/)?.[1];
+    const match = requirement?.match(/^(\S+)\s+(v\S+)(.*)$/);
+    if (match) {
+      dependencies.set(match[1], { version: match[2], kind: /\/\/\s*indirect/.test(match[3]) ? 'indirect' : 'prod' });
+    }
+  }
+  return dependencies;
+}
+
+// [dependencies], [dev-dependencies], [build-dependencies] (also under [workspace]
+// and [target.*]) with string, inline-table and [dependencies.name] entries
+export function parseCargoToml(text) {
+  const dependencies = new Map();
+  let section = null;
+  let table = null;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/\s#.*$/, '').trim();
+    const header = line.match(/^\[([^\]]+)\]$/);
+    if (header) {
+      const dependencyTable = header[1].match(/(?:^|\.)(dev-|build-)?dependencies(?:\.([^.]+))?$/);
+      section = dependencyTable && !dependencyTable[2] ? cargoKind(dependencyTable[1]) : null;
+      table = dependencyTable?.[2] ? { name: dependencyTable[2].replace(/^"|"$/g, ''), kind: cargoKind(dependencyTable[1]) } : null;
+      continue;
+    }
+    const entry = line.match(/^([A-Za-z0-9_-]+|"[^"]+")\s*=\s*(.+)$/);
+    if (!entry) continue;
+    if (table) {
+      if (entry[1] === 'version') {
+        dependencies.set(table.name, { version: entry[2].replace(/^"|"$/g, ''), kind: table.kind });
+      } else if (!dependencies.has(table.name) && /^(git|path|workspace)$/.test(entry[1])) {
+        dependencies.set(table.name, { version: entry[1], kind: table.kind });
+      }
+    } else if (section) {
+      const value = entry[2];
+      const version = value.startsWith('"') ? value.replace(/^"|"$/g, '') :
+        value.match(/version\s*=\s*"([^"]*)"/)?.[1] || value.match(/\b(git|path|workspace)\s*=/)?.[1] || value;
+      dependencies.set(entry[1].replace(/^"|"$/g, ''), { version, kind: section });
+    }
+  }
+  return dependencies;
+}
+
+function cargoKind(prefix) {
+  if (prefix === 'dev-') return 'dev';
+  if (prefix === 'build-') return 'build';
+  return 'prod';
+}
+
+// [major, minor, patch] from the first version number in a version or range
+// ("^18.2.0", "v1.21.3", ">=2.0,<3"), or null for tags, URLs and paths
+function parseVersion(value) {
+  const match = String(value || '').match(/(\d+)(?:\.(\d+))?(?:\.(\d+))?/);
+  return match ? [match[1], match[2] || 0, match[3] || 0].map(Number) : null;
+}
+
+function compareVersions(a, b) {
+  if (!a || !b) return 0;
+  return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+
+// A new major, or a new minor below 1.0 (where semver ranges treat minors as majors)
+function isMajorChange(a, b) {
+  if (!a || !b) return false;
+  return a[0] !== b[0] || (a[0] === 0 && a[1] !== b[1]);
+}
+
+function compareDependencies(before, after, { ecosystem, manifest }) {
+  const changes = [];
+  for (const name of new Set([...before.keys(), ...after.keys()])) {
+    const from = before.get(name);
+    const to = after.get(name);
+    if (from && to && from.version === to.version) continue;
+    const entry = { ecosystem, manifest, name, kind: (to || from).kind, from: from?.version || null, to: to?.version || null, major: false };
+    if (!from) {
+      changes.push({ ...entry, change: 'added' });
+    } else if (!to) {
+      changes.push({ ...entry, change: 'removed' });
+    } else {
+      const order = compareVersions(parseVersion(from.version), parseVersion(to.version));
+      const change = order < 0 ? 'upgraded' : order > 0 ? 'downgraded' : 'changed';
+      changes.push({ ...entry, change, major: change !== 'changed' && isMajorChange(parseVersion(from.version), parseVersion(to.version)) });
+    }
+  }
+  return changes;
+}
+
+// "[major] upgraded react 17.0.2 → 18.2.0 (package.json)"; non-production kinds are named
+export function formatDependencyChange(change) {
+  const versions = change.change === 'added' ? ` ${change.to}` :
+    change.change === 'removed' ? ` ${change.from}` : ` ${change.from} → ${change.to}`;
+  const kind = change.kind !== 'prod' ? `, ${change.kind}` : '';
+  return `${change.major ? '[major] ' : ''}${change.change} ${change.name}${versions} (${change.manifest}${kind})`;
+}
+
+// { added, removed, upgraded, downgraded, changed, major } counts
+export function summarizeDependencyChanges(changes) {
+  const counts = { added: 0, removed: 0, upgraded: 0, downgraded: 0, changed: 0, major: 0 };
+  for (const change of changes) {
+    counts[change.change]++;
+    if (change.major) counts.major++;
+  }
+  return counts;
+}
+
+// "3 upgraded (1 major), 2 added, 1 removed"
+export function formatDependencySummary(counts) {
+  return [
+    counts.upgraded > 0 && `${counts.upgraded} upgraded${counts.major > 0 ? ` (${counts.major} major)` : ''}`,
+    counts.downgraded > 0 && `${counts.downgraded} downgraded`,
+    counts.added > 0 && `${counts.added} added`,
+    counts.removed > 0 && `${counts.removed} removed`,
+    counts.changed > 0 && `${counts.changed} re-pinned`
+  ].filter(Boolean).join(', ');
+}
+
+// Per-commit prompt line
+export function formatDependencyDetails(commit, max = 8) {
+  if (!commit.dependencyChanges?.length) {
+    return '';
+  }
+  const changes = commit.dependencyChanges;
+  return `Dependencies: ${changes.slice(0, max).map(formatDependencyChange).join('; ')}${changes.length > max ? `; ...and ${changes.length - max} more` : ''}`;
+}
+
+// Dependency changes across commits, each tagged with its commit; major bumps first
+export function collectDependencyChanges(commits) {
+  return commits
+    .flatMap(commit => (commit.dependencyChanges || []).map(change => ({ ...change, commit })))
+    .sort((a, b) => Number(b.major) - Number(a.major));
+}
+
+// Prompt section for range-level dependency diffs (one per repository)
+export function formatDependencyContext(dependencyDiffs, max = 40) {
+  const changes = dependencyDiffs.flatMap(diff => diff.changes.map(change => ({ ...change, repository: diff.repository })));
+  if (changes.length === 0) {
+    return '';
+  }
+  const multiRepo = new Set(dependencyDiffs.map(diff => diff.repository)).size > 1;
+  return `DEPENDENCY CHANGES (from manifests and lockfiles; ${formatDependencySummary(summarizeDependencyChanges(changes))}):
+${changes.slice(0, max).map(change => `- ${multiRepo ? `[${change.repository}] ` : ''}${formatDependencyChange(change)}`).join('\n')}${changes.length > max ? `\n- ...and ${changes.length - max} more` : ''}`;
+}
@@ -0,0 +1,64 @@
+// File-change model shared by commit extraction, prompts and analyzers. Each
+// change records its status letter, old and new path (renames and copies), the
+// rename/copy similarity score and per-file line counts from --numstat.
+
+export const FILE_STATUS_LABELS = {
+  A: 'added',
+  M: 'modified',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'copied',
+  T: 'type changed',
+  U: 'unmerged',
+  X: 'unknown'
+};
+
+// From a streamed --raw entry: status code such as "R087" plus one path, or two for renames/copies
+export function createFileChange({ statusCode, paths, insertions = 0, deletions = 0, binary = false }) {
+  const status = statusCode.charAt(0);
+  const score = statusCode.slice(1);
+  const moved = paths.length > 1;
+
+  return {
+    status,
+    oldPath: moved ? paths[0] : null,
+    newPath: paths[paths.length - 1],
+    // The path the commit leaves behind; deletions keep the removed path
+    file: paths[paths.length - 1],
+    similarity: moved && score ? Number(score) : null,
+    insertions,
+    deletions,
+    binary
+  };
+}
+
+export function isMove(change) {
+  return change.status === 'R' || change.status === 'C';
+}
+
+// "R: src/old.js → src/new.js (95% similar, +2/-1)"
+export function formatFileChange(change) {
+  const target = isMove(change) ? `${change.oldPath} → ${change.newPath}` : change.file;
+  const details = [
+    change.type,
+    change.similarity !== null && change.similarity !== undefined ? `${change.similarity}% similar` : null,
+    change.binary ? 'binary' : `+${change.insertions ?? 0}/-${change.deletions ?? 0}`
+  ].filter(Boolean);
+  return `${change.status}: ${target} (${details.join(', ')})`;
+}
+
+// Renames and copies across commits (PR members included), oldest first
+export function collectMoves(commits) {
+  return commits
+    .flatMap(commit => commit.fileChanges || [])
+    .filter(isMove)
+    .reverse();
+}
+
+// Prompt lines describing moved or copied files in one commit
+export function formatMoveDetails(commit) {
+  return (commit.fileChanges || [])
+    .filter(isMove)
+    .map(change => `${change.status === 'R' ? 'Moved' : 'Copied'}: ${change.oldPath} → ${change.newPath}`)
+    .join('\n');
+}
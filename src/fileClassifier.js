@@ -0,0 +1,207 @@
+import path from 'path';
+import { globToRegExp } from './noiseFilter.js';
+
+// One classifier for every consumer: each changed path gets a role (what the
+// file is for) and a language (what it is written in). Roles are checked in
+// registry order and the first match wins, so `src/cart.test.js` is a test
+// before it is JavaScript source. The config file's `fileClassifier` adds
+// path globs per role (checked before the built-in ones) and extensions per language.
+
+export const FILE_ROLES = ['migration', 'test', 'docs', 'infra', 'build', 'config', 'assets', 'source'];
+
+export const ROLE_LABELS = {
+  source: 'source',
+  test: 'test',
+  docs: 'docs',
+  config: 'config',
+  infra: 'infrastructure',
+  build: 'build',
+  assets: 'assets',
+  migration: 'migrations',
+  other: 'other'
+};
+
+const LANGUAGES = {
+  JavaScript: ['.js', '.jsx', '.mjs', '.cjs'],
+  TypeScript: ['.ts', '.tsx', '.mts', '.cts'],
+  Python: ['.py', '.pyi'],
+  Go: ['.go'],
+  Rust: ['.rs'],
+  Java: ['.java'],
+  Kotlin: ['.kt', '.kts'],
+  Scala: ['.scala'],
+  Ruby: ['.rb', '.rake'],
+  PHP: ['.php'],
+  'C#': ['.cs'],
+  C: ['.c', '.h'],
+  'C++': ['.cc', '.cpp', '.cxx', '.hpp', '.hh'],
+  Swift: ['.swift'],
+  'Objective-C': ['.m', '.mm'],
+  Dart: ['.dart'],
+  Elixir: ['.ex', '.exs'],
+  Shell: ['.sh', '.bash', '.zsh'],
+  SQL: ['.sql'],
+  GraphQL: ['.graphql', '.gql'],
+  Protobuf: ['.proto'],
+  HCL: ['.tf', '.tfvars', '.hcl'],
+  CSS: ['.css'],
+  SCSS: ['.scss', '.sass'],
+  Less: ['.less'],
+  HTML: ['.html', '.htm'],
+  Vue: ['.vue'],
+  Svelte: ['.svelte'],
+  Markdown: ['.md', '.mdx', '.markdown'],
+  reStructuredText: ['.rst'],
+  AsciiDoc: ['.adoc'],
+  JSON: ['.json', '.jsonc', '.json5'],
+  YAML: ['.yml', '.yaml'],
+  TOML: ['.toml'],
+  XML: ['.xml'],
+  INI: ['.ini', '.cfg', '.properties']
+};
+
+// Whole-name matches for files without a telling extension
+const LANGUAGE_FILENAMES = {
+  Dockerfile: /^(dockerfile|containerfile)(\..+)?$|\.dockerfile$/,
+  Makefile: /^(gnu)?makefile$|\.mk$/,
+  Shell: /^\.(bashrc|zshrc|profile)$/
+};
+
+// Built-in role rules, in FILE_ROLES order
+const ROLE_PATTERNS = {
+  migration: [
+    /(^|\/)(migrations?|migrate|alembic\/versions|flyway)\//,
+    /(^|\/)V\d+(_\d+)*__[^/]+\.sql$/
+  ],
+  test: [
+    /(^|\/)(__tests__|__mocks__|tests?|spec|specs|e2e|testdata|fixtures)\//,
+    /\.(test|spec|e2e)\.[^/]+$/,
+    /(^|\/)test_[^/]+\.py$|_test\.(py|go|rb|exs)$|_spec\.rb$/,
+    /(Test|Tests|IT)\.(java|kt|scala|cs)$/,
+    /(^|\/)conftest\.py$/
+  ],
+  docs: [
+    /(^|\/)(docs?|documentation|wiki|adr|adrs)\//,
+    /\.(md|mdx|markdown|rst|adoc)$/i,
+    /(^|\/)(readme|changelog|contributing|license|licence|authors|notice|code_of_conduct)(\.[^/]*)?$/i,
+    // Storybook stories document components rather than ship them
+    /\.stories\.[^/]+$/
+  ],
+  infra: [
+    /(^|\/)(dockerfile|containerfile)(\.[^/]+)?$|\.dockerfile$/i,
+    /(^|\/)(docker-)?compose(\.[^/]+)?\.ya?ml$/i,
+    /\.(tf|tfvars|hcl)$/,
+    /(^|\/)(terraform|k8s|kubernetes|helm|charts|ansible|infra|infrastructure|deploy|deployment|\.circleci|\.buildkite)\//,
+    /(^|\/)\.github\/workflows\//,
+    /(^|\/)(\.gitlab-ci\.yml|jenkinsfile|azure-pipelines\.yml|\.travis\.yml|bitbucket-pipelines\.yml|procfile|fly\.toml|vercel\.json|netlify\.toml)$/i
+  ],
+  build: [
+    /(^|\/)(package\.json|go\.mod|go\.work|cargo\.toml|pyproject\.toml|setup\.py|setup\.cfg|pipfile|gemfile|[^/]+\.gemspec|pom\.xml|build\.gradle(\.kts)?|settings\.gradle(\.kts)?|gradle\.properties|cmakelists\.txt|meson\.build|build\.sbt|mix\.exs|composer\.json|pubspec\.yaml|build\.bazel|workspace(\.bazel)?|module\.bazel)$/i,
+    /(^|\/)requirements[^/]*\.(txt|in)$/i,
+    /(^|\/)((gnu)?makefile|[^/]+\.mk|justfile|taskfile\.ya?ml|rakefile)$/i,
+    /(^|\/)(webpack|rollup|vite|vitest|esbuild|babel|turbo|nx|lerna|tsup|metro)(\.[^/]+)?\.(js|cjs|mjs|ts|json)$/i,
+    /(^|\/)(\.babelrc|\.nvmrc|\.node-version|\.python-version|\.tool-versions)$/i
+  ],
+  config: [
+    /\.(json|jsonc|json5|ya?ml|toml|ini|cfg|conf|properties|env)$/i,
+    /(^|\/)\.env(\.[^/]+)?$/,
+    /(^|\/)\.[^/]+rc(\.[^/]+)?$/,
+    /(^|\/)(\.editorconfig|\.gitignore|\.gitattributes|\.dockerignore|\.npmignore|codeowners)$/i,
+    /(^|\/)[^/]+\.config\.[^/]+$/,
+    /(^|\/)(config|configs|settings)\//
+  ],
+  assets: [
+    /\.(png|jpe?g|gif|webp|avif|svg|ico|bmp|tiff?|psd|ai|sketch|fig)$/i,
+    /\.(woff2?|ttf|otf|eot)$/i,
+    /\.(mp3|mp4|wav|ogg|webm|mov|pdf)$/i,
+    /(^|\/)(assets|static|public|images|img|fonts|media)\//
+  ]
+};
+
+export function createFileClassifier(options = {}) {
+  const config = options.fileClassifier || {};
+
+  const rules = [];
+  for (const [role, globs] of Object.entries(config.roles || {})) {
+    for (const glob of toList(globs)) {
+      rules.push({ role, pattern: globToRegExp(glob.replace(/\/+$/, '')) });
+    }
+  }
+  for (const role of FILE_ROLES) {
+    for (const pattern of ROLE_PATTERNS[role] || []) {
+      rules.push({ role, pattern });
+    }
+  }
+
+  // Built-in extensions first; `languages` in the config ({ ".sol": "Solidity" })
+  // adds or reassigns single extensions and leaves the rest of a language's list alone
+  const extensions = new Map();
+  for (const [language, list] of Object.entries(LANGUAGES)) {
+    for (const extension of toList(list)) {
+      extensions.set(extension.toLowerCase(), language);
+    }
+  }
+  for (const [extension, language] of Object.entries(config.languages || {})) {
+    extensions.set((extension.startsWith('.') ? extension : `.${extension}`).toLowerCase(), language);
+  }
+
+  return { rules, extensions };
+}
+
+// Module-wide classifier, replaced once the config is loaded (see BlackflagWeekly.run)
+let activeClassifier = createFileClassifier();
+
+export function useFileClassifier(classifier) {
+  activeClassifier = classifier;
+}
+
+export function detectLanguage(filepath, classifier = activeClassifier) {
+  const filename = path.basename(filepath).toLowerCase();
+  const byExtension = classifier.extensions.get(path.extname(filename));
+  if (byExtension) {
+    return byExtension;
+  }
+  const byName = Object.entries(LANGUAGE_FILENAMES).find(([, pattern]) => pattern.test(filename));
+  return byName ? byName[0] : null;
+}
+
+// Role from the first matching rule; otherwise source when the language is a
+// programming language, else "other"
+export function classifyFile(filepath, classifier = activeClassifier) {
+  const rule = classifier.rules.find(candidate => candidate.pattern.test(filepath));
+  if (rule) {
+    return rule.role;
+  }
+  return detectLanguage(filepath, classifier) ? 'source' : 'other';
+}
+
+// { role, language } for a file change
+export function describeFile(filepath, classifier = activeClassifier) {
+  return {
+    role: classifyFile(filepath, classifier),
+    language: detectLanguage(filepath, classifier)
+  };
+}
+
+// File counts per role across commits (PR units counted through their combined file list)
+export function summarizeRoles(commits) {
+  const counts = {};
+  for (const change of commits.flatMap(commit => commit.fileChanges || [])) {
+    const role = change.type || classifyFile(change.file);
+    counts[role] = (counts[role] || 0) + 1;
+  }
+  return counts;
+}
+
+// "12 source, 4 test, 2 infrastructure"
+export function formatRoleSummary(counts) {
+  return Object.entries(counts)
+    .sort(([, a], [, b]) => b - a)
+    .map(([role, count]) => `${count} ${ROLE_LABELS[role] || role}`)
+    .join(', ');
+}
+
+function toList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
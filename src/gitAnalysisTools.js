@@ -2,13 +2,125 @@ import { tool } from '@openai/agents';
 import { z } from 'zod';
 import simpleGit from 'simple-git';
 import fs from 'fs/promises';
-import path from 'path';
+import crypto from 'crypto';
+import { createNoiseRules, classifyNoise } from './noiseFilter.js';
+import { measureComplexityChanges, isMeasurableSource, collectComplexityChanges, formatFunctionChange } from './complexity.js';
+import { diffApiSurface, formatApiChange } from './apiSurface.js';
+import { loadImpactRules, resolveDomain, compareCriticality } from './impactRules.js';
+import { classifyFile } from './fileClassifier.js';
+import { formatCoverageChange } from './coverage.js';
+import { analyzeHotspots } from './hotspots.js';
+import { blameOwnership } from './ownership.js';
+import { resolveContributor } from './team.js';
+import { redactToolOutput } from './redaction.js';
 
 // Initialize git instance
 const git = simpleGit();
 
+const MAX_REPORTED_API_CHANGES = 20;
+const MAX_BLAMED_TOOL_FILES = 20;
+const API_PATH_PATTERN = /(^|\/)(api|apis|endpoints?|routes?)(\/|\.|$)/i;
+const DATA_PATH_PATTERN = /(^|\/)(models?|schemas?|migrations?)(\/|\.|$)/i;
+
+// Repositories that may hold an analyzed commit (--repo); the first one that knows the hash answers
+let repositories = [{ git }];
+
+export function useRepositories(list) {
+  repositories = list.length > 0 ? list : [{ git }];
+}
+
+// The repository that holds a commit (the first one when none does)
+async function findRepository(commitHash) {
+  for (const repository of repositories) {
+    try {
+      await repository.git.raw(['cat-file', '-e', `${commitHash}^{commit}`]);
+      return repository;
+    } catch (error) {
+      // Not in this repository
+    }
+  }
+  return repositories[0];
+}
+
+// Working directory of the repository that holds a commit
+async function findRepositoryPath(commitHash) {
+  return (await findRepository(commitHash)).path || process.cwd();
+}
+
+async function showCommit(commitHash, args) {
+  let lastError;
+  for (const repository of repositories) {
+    try {
+      return await repository.git.show([commitHash, ...args]);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+// Optional per-commit cache (see analysisCache.js); analyzer results keyed by commit hash and input are reused
+let analysisCache = null;
+
+export function useAnalysisCache(cache) {
+  analysisCache = cache;
+}
+
+// Generated, vendored and lockfile paths are left out of every analyzer
+let noiseRules = createNoiseRules();
+
+export function useNoiseRules(rules) {
+  noiseRules = rules;
+}
+
+// Roster (--roster) so blame authors resolve to the same display names as commits
+let team = { members: [], botPatterns: [] };
+
+export function useTeam(roster) {
+  team = roster;
+}
+
+// Path globs to business domains (--impact-rules); CODEOWNERS come from each repository
+let impactRules = null;
+
+export function useImpactRules(rules) {
+  impactRules = rules;
+}
+
+function withoutNoise(fileChanges) {
+  return fileChanges.filter(change => !classifyNoise(change, noiseRules));
+}
+
+// Results are keyed by the tool input as well as the commit (agents pass their own
+// file lists), plus the run's cache variant (path scope, classifier config) and --ignore rules
+async function cachedAnalysis(commitHash, name, input, analyze) {
+  const inputKey = crypto.createHash('sha1')
+    .update(JSON.stringify({ input, variant: analysisCache?.variant, ignore: noiseRules.ignore.map(pattern => pattern.source) }))
+    .digest('hex')
+    .slice(0, 12);
+  const key = `${name}:${inputKey}`;
+  const cached = await analysisCache?.readAnalysis(commitHash, key);
+  if (cached) {
+    return cached;
+  }
+  const result = await analyze();
+  await analysisCache?.writeAnalysis(commitHash, key, result);
+  return result;
+}
+
+// Tool outputs are sent to the model like prompts, so they pass through redaction.js
+// (secrets in diffs, emails in blame) and land in the audit log
+function redactedTool(config) {
+  return tool({
+    ...config,
+    async execute(...args) {
+      return redactToolOutput(config.name, await config.execute(...args));
+    }
+  });
+}
+
 // Tool to analyze git diff for a specific commit
-export const analyzeGitDiffTool = tool({
+export const analyzeGitDiffTool = redactedTool({
   name: 'analyze_git_diff',
   description: 'Analyze the actual code changes in a git commit by examining the diff',
   parameters: z.object({
@@ -17,17 +129,28 @@ export const analyzeGitDiffTool = tool({
   }),
   async execute({ commitHash, maxLines }) {
     try {
-      // Get the detailed diff for this commit
-      const diffResult = await git.show([
-        commitHash,
-        '--format=fuller',
-        '--stat',
-        '--name-status',
-        `--max-count=${maxLines}`
-      ]);
-
-      // Parse the diff to understand the changes
-      const analysis = parseDiffContent(diffResult, commitHash);
+      const analysis = await cachedAnalysis(commitHash, 'analyze_git_diff', { maxLines }, async () => {
+        // Get the detailed diff for this commit, with rename and copy detection
+        const diffResult = await showCommit(commitHash, [
+          '--format=fuller',
+          '--patch',
+          '-M',
+          '-C'
+        ]);
+
+        // Parse the diff to understand the changes
+        const parsed = parseDiffContent(diffResult, commitHash, maxLines);
+
+        // Breaking changes come from comparing the exported API, routes and OpenAPI operations
+        const api = await diffApiSurface(await findRepositoryPath(commitHash), {
+          base: `${commitHash}^`,
+          head: commitHash,
+          fileChanges: parsed.fileAnalysis.map(({ status, file, oldPath }) => ({ status, file, oldPath }))
+        });
+        parsed.apiChanges = api.changes.slice(0, MAX_REPORTED_API_CHANGES).map(formatApiChange);
+        parsed.overallImpact.breakingChanges = api.breaking;
+        return parsed;
+      });
 
       return JSON.stringify(analysis, null, 2);
     } catch (error) {
@@ -37,61 +160,139 @@ export const analyzeGitDiffTool = tool({
 });
 
 // Tool to detect architectural patterns in code changes
-export const detectArchitecturalPatternsTool = tool({
+export const detectArchitecturalPatternsTool = redactedTool({
   name: 'detect_architectural_patterns',
   description: 'Detect architectural patterns and refactoring in code changes',
   parameters: z.object({
     fileChanges: z.array(z.object({
       file: z.string(),
       status: z.string(),
+      oldPath: z.string().nullable().optional(),
+      similarity: z.number().nullable().optional(),
       insertions: z.number().nullable(),
       deletions: z.number().nullable()
     })),
     commitMessage: z.string()
   }),
   async execute({ fileChanges, commitMessage }) {
-    const patterns = analyzeArchitecturalPatterns(fileChanges, commitMessage);
+    const patterns = analyzeArchitecturalPatterns(withoutNoise(fileChanges), commitMessage);
     return JSON.stringify(patterns, null, 2);
   }
 });
 
 // Tool to assess business impact of changes
-export const assessBusinessImpactTool = tool({
+export const assessBusinessImpactTool = redactedTool({
   name: 'assess_business_impact',
   description: 'Assess the business impact of code changes based on affected files and systems',
   parameters: z.object({
     fileChanges: z.array(z.object({
       file: z.string(),
-      status: z.string()
+      status: z.string(),
+      oldPath: z.string().nullable().optional()
     })),
     commitHash: z.string()
   }),
   async execute({ fileChanges, commitHash }) {
-    const impact = assessBusinessImpact(fileChanges);
+    // Not cached: the result depends on the rules file and CODEOWNERS, not only the commit
+    const repository = await findRepository(commitHash);
+    const impact = assessBusinessImpact(withoutNoise(fileChanges), impactRules || await loadImpactRules(), repository.codeowners || []);
     return JSON.stringify(impact, null, 2);
   }
 });
 
 // Tool to analyze code complexity changes
-export const analyzeComplexityChangesTool = tool({
+export const analyzeComplexityChangesTool = redactedTool({
   name: 'analyze_complexity_changes',
-  description: 'Analyze changes in code complexity and technical debt',
+  description: 'Analyze changes in code complexity and technical debt; JavaScript/TypeScript files get parsed per-function metrics',
   parameters: z.object({
     commitHash: z.string(),
     fileChanges: z.array(z.object({
       file: z.string(),
+      status: z.string().nullable().optional(),
+      oldPath: z.string().nullable().optional(),
       insertions: z.number().nullable(),
       deletions: z.number().nullable()
     }))
   }),
   async execute({ commitHash, fileChanges }) {
-    const complexity = analyzeComplexityChanges(fileChanges, commitHash);
-    return JSON.stringify(complexity, null, 2);
+    const complexity = await cachedAnalysis(commitHash, 'analyze_complexity_changes', { fileChanges }, () => analyzeComplexityChanges(withoutNoise(fileChanges), commitHash));
+    // Range-level coverage (coverage.js) isn't a property of the commit, so it stays out of the cache
+    const { coverage } = await findRepository(commitHash);
+    return JSON.stringify(coverage ? addCoverageEvidence(complexity, coverage, fileChanges) : complexity, null, 2);
+  }
+});
+
+// Tool to place changed files among the repository's churn hotspots
+export const findHotspotsTool = redactedTool({
+  name: 'find_hotspots',
+  description: 'Check whether changed files are churn hotspots (changed often, heavily rewritten) and which files usually change together with them',
+  parameters: z.object({
+    commitHash: z.string(),
+    files: z.array(z.string())
+  }),
+  async execute({ commitHash, files }) {
+    const repository = await findRepository(commitHash);
+    const report = repository.hotspots || await hotspotReport(repository, commitHash);
+    return JSON.stringify(matchHotspots(report, files), null, 2);
+  }
+});
+
+// Reports computed by find_hotspots when the run didn't compute them up front,
+// one per repository (its range window) or, without a window, per commit
+const hotspotReports = new Map();
+
+function hotspotReport(repository, commitHash) {
+  const key = repository.hotspotWindow ? repository : `${repository.path}:${commitHash}`;
+  if (!hotspotReports.has(key)) {
+    hotspotReports.set(key, (async () => {
+      // Without a range window: the default lookback up to this commit
+      const window = repository.hotspotWindow || {
+        head: commitHash,
+        rangeStart: (await repository.git.raw(['show', '-s', '--format=%aI', commitHash])).trim()
+      };
+      return analyzeHotspots(repository.git, repository.path || process.cwd(), { ...window, noiseRules });
+    })());
+  }
+  return hotspotReports.get(key);
+}
+
+// Tool to report who knows the changed files, from git blame
+export const analyzeOwnershipTool = redactedTool({
+  name: 'analyze_ownership',
+  description: 'Report the primary owner, ownership share and bus factor of changed files from git blame, and whether the commit author is the usual owner',
+  parameters: z.object({
+    commitHash: z.string(),
+    files: z.array(z.string())
+  }),
+  async execute({ commitHash, files }) {
+    const repository = await findRepository(commitHash);
+    const [name, email] = (await repository.git.raw(['show', '-s', '--format=%aN%n%aE', commitHash])).split('\n');
+    const author = resolveContributor(team, name, email).name;
+    // Files the range-level report already blamed; the rest are blamed at the commit's
+    // parent, where the owner before this change is the usual owner
+    const known = new Map((repository.ownership?.files || []).map(entry => [entry.file, entry]));
+    const report = [];
+    for (const file of files.slice(0, MAX_BLAMED_TOOL_FILES)) {
+      if (known.has(file)) {
+        report.push(known.get(file));
+        continue;
+      }
+      try {
+        const ownership = await blameOwnership(repository.git, `${commitHash}^`, file, team);
+        report.push({ ...ownership, usualOwner: ownership.owner });
+      } catch (error) {
+        // New in this commit, or a root commit: nobody owned it yet
+      }
+    }
+    return JSON.stringify({
+      author,
+      files: report.map(entry => ({ ...entry, changedByUsualOwner: entry.usualOwner === author }))
+    }, null, 2);
   }
 });
 
 // Helper function to parse git diff content
-function parseDiffContent(diffOutput, commitHash) {
+function parseDiffContent(diffOutput, commitHash, maxLines = Infinity) {
   const lines = diffOutput.split('\n');
   const analysis = {
     commitHash,
@@ -103,21 +304,31 @@ function parseDiffContent(diffOutput, commitHash) {
       securityImpact: 'none',
       testingChanges: false
     },
-    codePatterns: []
+    codePatterns: [],
+    generatedFiles: []
   };
 
   let currentFile = null;
   let additions = 0;
   let deletions = 0;
+  let analyzedLines = 0;
 
   for (const line of lines) {
     // Parse file headers
     if (line.startsWith('diff --git')) {
       const match = line.match(/diff --git a\/(.+) b\/(.+)/);
-      if (match) {
+      if (match && classifyNoise({ file: match[2] }, noiseRules)) {
+        // Generated churn is listed but its lines are not analyzed
+        analysis.generatedFiles.push(match[2]);
+        currentFile = null;
+      } else if (match) {
         currentFile = {
-          file: match[1],
-          type: getFileCategory(match[1]),
+          file: match[2],
+          status: 'M',
+          oldPath: null,
+          newPath: match[2],
+          similarity: null,
+          type: classifyFile(match[2]),
           changes: {
             additions: 0,
             deletions: 0,
@@ -129,13 +340,26 @@ function parseDiffContent(diffOutput, commitHash) {
       }
     }
 
+    // Extended headers: added/deleted files, renames and copies with their similarity
+    if (currentFile) {
+      if (line.startsWith('new file mode')) currentFile.status = 'A';
+      if (line.startsWith('deleted file mode')) currentFile.status = 'D';
+      const similarity = line.match(/^similarity index (\d+)%/);
+      if (similarity) currentFile.similarity = Number(similarity[1]);
+      const moved = line.match(/^(rename|copy) from (.+)/);
+      if (moved) {
+        currentFile.status = moved[1] === 'rename' ? 'R' : 'C';
+        currentFile.oldPath = moved[2];
+      }
+    }
+
     // Parse additions/deletions
     if (line.startsWith('+') && !line.startsWith('+++') && currentFile) {
       currentFile.changes.additions++;
       additions++;
 
-      // Analyze the actual code being added
-      const codeAnalysis = analyzeCodeLine(line.substring(1));
+      // Analyze the actual code being added (up to maxLines changed lines)
+      const codeAnalysis = ++analyzedLines <= maxLines ? analyzeCodeLine(line.substring(1)) : { significance: 0 };
       if (codeAnalysis.significance > 0) {
         currentFile.changes.modifications.push({
           type: 'addition',
@@ -151,7 +375,7 @@ function parseDiffContent(diffOutput, commitHash) {
       deletions++;
 
       // Analyze the actual code being removed
-      const codeAnalysis = analyzeCodeLine(line.substring(1));
+      const codeAnalysis = ++analyzedLines <= maxLines ? analyzeCodeLine(line.substring(1)) : { significance: 0 };
       if (codeAnalysis.significance > 0) {
         currentFile.changes.modifications.push({
           type: 'deletion',
@@ -184,19 +408,30 @@ function analyzeArchitecturalPatterns(fileChanges, commitMessage) {
     evidence: []
   };
 
-  // Analyze by file types and changes
+  // Analyze by file roles and changes
   const fileTypes = fileChanges.reduce((acc, change) => {
-    const type = getFileCategory(change.file);
+    const type = classifyFile(change.file);
     acc[type] = (acc[type] || 0) + 1;
     return acc;
   }, {});
 
+  patterns.testing = Boolean(fileTypes.test);
+  patterns.documentation = Boolean(fileTypes.docs);
+  patterns.configuration = Boolean(fileTypes.config || fileTypes.build || fileTypes.infra);
+
   // Detect refactoring patterns
   if (hasRefactoringPattern(fileChanges)) {
     patterns.refactoring = true;
     patterns.evidence.push('Multiple files modified with balanced additions/deletions suggesting code restructuring');
   }
 
+  // Renamed or copied files are structural moves
+  const moves = fileChanges.filter(change => change.status === 'R' || change.status === 'C');
+  if (moves.length > 0) {
+    patterns.refactoring = true;
+    patterns.evidence.push(`Moved modules: ${moves.map(change => `${change.oldPath} → ${change.file}`).join(', ')}`);
+  }
+
   // Detect architectural changes
   if (hasArchitecturalPattern(fileChanges)) {
     patterns.architectural = true;
@@ -225,10 +460,11 @@ function analyzeArchitecturalPatterns(fileChanges, commitMessage) {
 }
 
 // Assess business impact based on file changes
-function assessBusinessImpact(fileChanges) {
+function assessBusinessImpact(fileChanges, rules, codeowners) {
   const impact = {
     level: 'low',
     categories: [],
+    domains: [],
     userFacing: false,
     systemCritical: false,
     dataImpact: false,
@@ -236,48 +472,38 @@ function assessBusinessImpact(fileChanges) {
     description: ''
   };
 
-  const criticalPaths = [
-    'api/', 'routes/', 'controllers/', 'models/',
-    'database/', 'migrations/', 'auth/', 'payment/',
-    'user/', 'admin/', 'security/', 'config/'
-  ];
-
-  const userFacingPaths = [
-    'ui/', 'components/', 'pages/', 'views/',
-    'frontend/', 'client/', 'public/', 'assets/'
-  ];
-
+  const domains = new Map();
   for (const change of fileChanges) {
-    const filePath = change.file.toLowerCase();
-
-    // Check for critical system files
-    if (criticalPaths.some(path => filePath.includes(path))) {
-      impact.systemCritical = true;
-      impact.level = 'high';
-      impact.categories.push('system-critical');
-    }
-
-    // Check for user-facing changes
-    if (userFacingPaths.some(path => filePath.includes(path))) {
-      impact.userFacing = true;
-      impact.categories.push('user-experience');
+    const domain = resolveDomain(change.file, rules, codeowners);
+    if (domain) {
+      const entry = domains.get(domain.name) || { ...domain, files: [] };
+      entry.files.push(change.file);
+      domains.set(domain.name, entry);
     }
 
-    // Check for API changes
-    if (filePath.includes('api') || filePath.includes('endpoint') || filePath.includes('route')) {
+    // Whole path segments only, so "rapid/" or "remodel.js" don't count
+    if (API_PATH_PATTERN.test(change.file)) {
       impact.apiChanges = true;
-      impact.categories.push('api-changes');
     }
-
-    // Check for data impact
-    if (filePath.includes('model') || filePath.includes('schema') || filePath.includes('migration')) {
+    if (DATA_PATH_PATTERN.test(change.file)) {
       impact.dataImpact = true;
-      impact.categories.push('data-model');
     }
   }
 
+  impact.domains = [...domains.values()].sort((a, b) => compareCriticality(b.criticality, a.criticality));
+  impact.level = impact.domains[0]?.criticality || 'low';
+  impact.systemCritical = impact.domains.some(domain => compareCriticality(domain.criticality, 'high') >= 0);
+  impact.userFacing = impact.domains.some(domain => domain.userFacing);
+
+  if (impact.systemCritical) impact.categories.push('system-critical');
+  if (impact.userFacing) impact.categories.push('user-experience');
+  if (impact.apiChanges) impact.categories.push('api-changes');
+  if (impact.dataImpact) impact.categories.push('data-model');
+
   // Generate description
-  if (impact.categories.length > 0) {
+  if (impact.domains.length > 0) {
+    impact.description = `Changes affect: ${impact.domains.map(domain => `${domain.name} (${domain.criticality} criticality)`).join(', ')}`;
+  } else if (impact.categories.length > 0) {
     impact.description = `Changes affect: ${impact.categories.join(', ')}`;
   } else {
     impact.description = 'Internal implementation changes with minimal external impact';
@@ -287,7 +513,7 @@ function assessBusinessImpact(fileChanges) {
 }
 
 // Analyze complexity changes
-function analyzeComplexityChanges(fileChanges, commitHash) {
+async function analyzeComplexityChanges(fileChanges, commitHash) {
   const complexity = {
     overallChange: 'neutral',
     technicalDebt: 'maintained',
@@ -305,33 +531,81 @@ function analyzeComplexityChanges(fileChanges, commitHash) {
     totalAdditions += change.insertions ?? 0;
     totalDeletions += change.deletions ?? 0;
 
-    if (change.file.includes('test') || change.file.includes('spec')) {
+    const role = classifyFile(change.file);
+    if (role === 'test') {
       testFiles++;
-    } else if (getFileCategory(change.file) === 'code') {
+    } else if (role === 'source') {
       codeFiles++;
     }
   }
 
-  // Analyze net change
-  const netChange = totalAdditions - totalDeletions;
-
-  if (netChange > 100) {
-    complexity.overallChange = 'increased';
-    complexity.evidence.push('Significant code additions');
-  } else if (netChange < -100) {
-    complexity.overallChange = 'decreased';
-    complexity.evidence.push('Significant code removal/cleanup');
+  // JavaScript/TypeScript files are parsed at the parent and at the commit
+  const sources = fileChanges
+    .filter(change => isMeasurableSource(change.file))
+    .map(change => ({ ...change, status: change.status || 'M', oldPath: change.oldPath || null }));
+  const metrics = sources.length > 0 ?
+    await measureComplexityChanges(await findRepositoryPath(commitHash), { base: `${commitHash}^`, head: commitHash, fileChanges: sources }) :
+    null;
+  const measured = metrics?.files.some(file => !file.error);
+
+  if (measured) {
+    const { complexityBefore, complexityAfter } = metrics.totals;
+    complexity.metrics = metrics;
+    complexity.evidence.push(`Cyclomatic complexity ${complexityBefore} → ${complexityAfter} across ${metrics.files.length} JS/TS ${metrics.files.length === 1 ? 'file' : 'files'}`);
+    complexity.evidence.push(...collectComplexityChanges([{ complexity: metrics }]).slice(0, 5).map(formatFunctionChange));
+
+    if (complexityAfter > complexityBefore) {
+      complexity.overallChange = 'increased';
+      complexity.technicalDebt = 'increased';
+      complexity.maintainability = 'reduced';
+    } else if (complexityAfter < complexityBefore) {
+      complexity.overallChange = 'decreased';
+      complexity.codeQuality = 'improved';
+      complexity.maintainability = 'improved';
+    }
+  } else {
+    // Without parsable sources, fall back to the net line count
+    const netChange = totalAdditions - totalDeletions;
+
+    if (netChange > 100) {
+      complexity.overallChange = 'increased';
+      complexity.evidence.push('Significant code additions');
+    } else if (netChange < -100) {
+      complexity.overallChange = 'decreased';
+      complexity.evidence.push('Significant code removal/cleanup');
+    }
   }
 
-  // Test coverage analysis
+  // Touching tests says nothing about coverage; coverage reports do (addCoverageEvidence)
   if (testFiles > 0 && codeFiles > 0) {
-    complexity.codeQuality = 'improved';
     complexity.evidence.push('Tests added/modified alongside code changes');
   }
 
   return complexity;
 }
 
+// Line coverage over the range for this commit's files, from the repository's coverage reports
+function addCoverageEvidence(complexity, coverage, fileChanges) {
+  const files = new Set(fileChanges.map(change => change.file));
+  const entries = coverage.files.filter(entry => files.has(entry.file));
+  if (entries.length === 0) {
+    return complexity;
+  }
+
+  const result = { ...complexity, coverage: entries, evidence: [...complexity.evidence] };
+  result.evidence.push(...entries.slice(0, 5).map(entry => `Line coverage of ${entry.file} over the range: ${formatCoverageChange(entry)}`));
+  const deltas = entries.map(entry => entry.delta).filter(change => change !== null);
+  const net = deltas.reduce((sum, change) => sum + change, 0);
+  if (deltas.length > 0 && net !== 0) {
+    result.codeQuality = net > 0 ? 'improved' : 'reduced';
+  }
+  const low = entries.filter(entry => entry.after !== null && entry.after < coverage.threshold);
+  if (low.length > 0) {
+    result.evidence.push(`Under ${coverage.threshold}% line coverage: ${low.map(entry => `${entry.file} (${entry.after}%)`).join(', ')}`);
+  }
+  return result;
+}
+
 // Helper functions for pattern detection
 function hasRefactoringPattern(fileChanges) {
   // Multiple files with balanced add/delete ratios often indicate refactoring
@@ -343,14 +617,13 @@ function hasRefactoringPattern(fileChanges) {
 }
 
 function hasArchitecturalPattern(fileChanges) {
-  // Changes to multiple modules or core configuration files
-  const coreFiles = ['config', 'package.json', 'docker', 'makefile', 'webpack'];
+  // Changes to multiple modules or to configuration, build and infrastructure files
   const moduleChanges = new Set(fileChanges.map(change =>
     change.file.split('/')[0]
   )).size > 2;
 
   const coreChanges = fileChanges.some(change =>
-    coreFiles.some(core => change.file.toLowerCase().includes(core))
+    ['config', 'build', 'infra'].includes(classifyFile(change.file))
   );
 
   return moduleChanges || coreChanges;
@@ -395,27 +668,6 @@ function hasSecurityPattern(fileChanges, commitMessage) {
   return messageHasKeywords || securityFiles;
 }
 
-// Helper function to categorize files
-function getFileCategory(filepath) {
-  const ext = path.extname(filepath).toLowerCase();
-  const filename = path.basename(filepath).toLowerCase();
-
-  // Documentation
-  if (ext === '.md' || ext === '.txt' || ext === '.rst') return 'documentation';
-
-  // Configuration
-  if (ext === '.json' || ext === '.yaml' || ext === '.yml' || ext === '.toml' ||
-    filename.includes('config') || filename.includes('package')) return 'configuration';
-
-  // Testing
-  if (filename.includes('test') || filename.includes('spec') || filepath.includes('__tests__')) return 'testing';
-
-  // Code files
-  if (['.js', '.ts', '.jsx', '.tsx', '.py', '.rb', '.go', '.java', '.c', '.cpp', '.cs'].includes(ext)) return 'code';
-
-  return 'other';
-}
-
 // Analyze individual code lines for significance
 function analyzeCodeLine(codeLine) {
   const line = codeLine.trim();
@@ -465,7 +717,7 @@ function analyzeCodeLine(codeLine) {
 function determineOverallImpact(fileAnalysis) {
   const impact = {
     architecturalChanges: false,
-    breakingChanges: false,
+    breakingChanges: false, // Set from the API surface diff in analyze_git_diff
     performanceImpact: 'minimal',
     securityImpact: 'none',
     testingChanges: false
@@ -473,17 +725,10 @@ function determineOverallImpact(fileAnalysis) {
 
   for (const file of fileAnalysis) {
     // Check for architectural changes based on file types and modification patterns
-    if (file.type === 'configuration' || file.changes.modifications.length > 10) {
+    if (['config', 'build', 'infra', 'migration'].includes(file.type) || file.changes.modifications.length > 10) {
       impact.architecturalChanges = true;
     }
 
-    // Check for potential breaking changes
-    if (file.changes.modifications.some(mod =>
-      mod.category === 'api' && mod.type === 'deletion'
-    )) {
-      impact.breakingChanges = true;
-    }
-
     // Assess performance impact
     if (file.changes.modifications.some(mod => mod.category === 'data')) {
       impact.performanceImpact = 'moderate';
@@ -495,7 +740,7 @@ function determineOverallImpact(fileAnalysis) {
     }
 
     // Check for testing changes
-    if (file.type === 'testing') {
+    if (file.type === 'test') {
       impact.testingChanges = true;
     }
   }
@@ -503,10 +748,32 @@ function determineOverallImpact(fileAnalysis) {
   return impact;
 }
 
+// Hotspot ranks for the given files, plus coupled partners the change left untouched
+function matchHotspots(report, files) {
+  const changed = new Set(files);
+  const hotspots = report.hotspots
+    .map((entry, index) => ({ ...entry, rank: index + 1 }))
+    .filter(entry => changed.has(entry.file));
+  const coupling = report.coupling.filter(pair => pair.files.some(file => changed.has(file)));
+
+  return {
+    window: { since: report.since, lookbackDays: report.lookbackDays, commits: report.commits },
+    hotspots,
+    totalHotspots: report.hotspots.length,
+    coupling,
+    // Files that usually change with these ones but didn't this time
+    missingPartners: coupling
+      .filter(pair => !pair.files.every(file => changed.has(file)))
+      .map(pair => ({ changed: pair.files.find(file => changed.has(file)), partner: pair.files.find(file => !changed.has(file)), degree: pair.degree }))
+  };
+}
+
 // Export all tools as an array for easy use
 export const gitAnalysisTools = [
   analyzeGitDiffTool,
   detectArchitecturalPatternsTool,
   assessBusinessImpactTool,
-  analyzeComplexityChangesTool
+  analyzeComplexityChangesTool,
+  findHotspotsTool,
+  analyzeOwnershipTool
 ]; 
\ No newline at end of file
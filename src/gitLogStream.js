@@ -0,0 +1,182 @@
+import { spawn } from 'child_process';
+import readline from 'readline';
+
+// Single-pass history extraction: one `git log --raw --numstat` process over the
+// requested range, parsed line by line as it streams. Replaces the per-commit
+// diffSummary + show calls so large ranges need one git process instead of two
+// per commit. With `onCommit`, each commit is handed over as soon as it is
+// parsed and nothing is collected, so memory holds one raw commit at a time.
+
+const RECORD_START = '\x1e';
+const FIELD_SEPARATOR = '\x1f';
+const FIELDS = ['hash', 'parents', 'date', 'author_name', 'author_email', 'refs', 'message', 'body'];
+const LOG_FORMAT = `${RECORD_START}${['%H', '%P', '%aI', '%aN', '%aE', '%D', '%s', '%b'].join('%x1f')}%x1f`;
+
+// Per-commit cap on stored file entries; stats still count every file
+export const MAX_FILES_PER_COMMIT = 2000;
+
+// `revisions` (explicit hashes) are fed through stdin with --no-walk instead of
+// walking `revisionArgs`, for re-reading just the commits a cache is missing.
+// Resolves to the parsed commits, or to their count when `onCommit` (which may be
+// async) receives them instead.
+export async function streamCommits({ cwd, gitConfig = [], revisionArgs = [], revisions, historyArgs = [], pathspecs = [], onProgress, onCommit }) {
+  const walkArgs = revisions ? ['--no-walk=unsorted', '--stdin'] : [...historyArgs, ...revisionArgs];
+
+  const args = [
+    ...gitConfig.flatMap(setting => ['-c', setting]),
+    '-c', 'core.quotePath=false',
+    'log',
+    `--format=${LOG_FORMAT}`,
+    '--raw',
+    '--numstat',
+    '--no-abbrev',
+    // Rename and copy detection, so moved modules keep their history
+    '-M',
+    '-C',
+    // Merges are diffed against their first parent, like a merged PR's net change
+    '--diff-merges=first-parent',
+    ...walkArgs,
+    ...(pathspecs.length > 0 ? ['--', ...pathspecs] : [])
+  ];
+
+  const child = spawn('git', args, { cwd, stdio: [revisions ? 'pipe' : 'ignore', 'pipe', 'pipe'] });
+  if (revisions) {
+    child.stdin.end(revisions.map(hash => `${hash}\n`).join(''));
+  }
+  let stderr = '';
+  child.stderr.on('data', chunk => { stderr += chunk; });
+
+  const exitCode = new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('close', resolve);
+  });
+  // A spawn error can arrive while the read loop below is still running; it is
+  // rethrown by `await exitCode` afterwards, so don't let it go unhandled meanwhile
+  exitCode.catch(() => {});
+
+  const commits = [];
+  let count = 0;
+  let current = null;
+  let header = null;
+
+  const finishCommit = async () => {
+    if (current) {
+      const commit = current;
+      current = null;
+      count++;
+      if (onCommit) {
+        await onCommit(commit);
+      } else {
+        commits.push(commit);
+      }
+      if (onProgress && count % 250 === 0) {
+        onProgress(count);
+      }
+    }
+  };
+
+  const lines = readline.createInterface({ input: child.stdout, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (line.startsWith(RECORD_START)) {
+      await finishCommit();
+      header = line.slice(1);
+    } else if (header !== null) {
+      // The body can span several lines; the header ends at its final separator
+      header += `\n${line}`;
+    } else if (current) {
+      parseChangeLine(current, line);
+    }
+
+    if (header !== null && countSeparators(header) >= FIELDS.length) {
+      current = createCommit(header);
+      header = null;
+    }
+  }
+
+  await finishCommit();
+
+  const code = await exitCode;
+  if (code !== 0) {
+    throw new Error(stderr.trim() || `git log exited with code ${code}`);
+  }
+
+  if (onProgress) {
+    onProgress(count, true);
+  }
+
+  return onCommit ? count : commits;
+}
+
+function createCommit(header) {
+  const values = header.split(FIELD_SEPARATOR);
+  const commit = Object.fromEntries(FIELDS.map((field, index) => [field, (values[index] || '').trim()]));
+
+  return {
+    ...commit,
+    parents: commit.parents.split(' ').filter(Boolean),
+    files: [],
+    stats: { files: 0, insertions: 0, deletions: 0 },
+    filesTruncated: false,
+    numstatIndex: 0
+  };
+}
+
+// --raw lines come first (":100644 100644 <sha> <sha> M\tpath"), then --numstat
+// lines ("12\t3\tpath") in the same order, so numstat entries pair up by index.
+function parseChangeLine(commit, line) {
+  if (!line) return;
+
+  if (line.startsWith(':')) {
+    const [meta, ...paths] = line.split('\t');
+    const statusCode = meta.split(' ').pop();
+
+    commit.stats.files++;
+    if (commit.files.length >= MAX_FILES_PER_COMMIT) {
+      commit.filesTruncated = true;
+      return;
+    }
+
+    commit.files.push({
+      statusCode,
+      paths,
+      insertions: 0,
+      deletions: 0,
+      binary: false
+    });
+    return;
+  }
+
+  const numstat = line.match(/^(\d+|-)\t(\d+|-)\t/);
+  if (!numstat) return;
+
+  const binary = numstat[1] === '-';
+  const insertions = binary ? 0 : Number(numstat[1]);
+  const deletions = binary ? 0 : Number(numstat[2]);
+
+  commit.stats.insertions += insertions;
+  commit.stats.deletions += deletions;
+
+  const file = commit.files[commit.numstatIndex++];
+  if (file) {
+    file.insertions = insertions;
+    file.deletions = deletions;
+    file.binary = binary;
+  }
+}
+
+function countSeparators(text) {
+  let count = 0;
+  for (const char of text) {
+    if (char === FIELD_SEPARATOR) count++;
+  }
+  return count;
+}
+
+// Progress callback for streamCommits: rewrites one line on interactive terminals
+export function createProgressReporter(label, stream = process.stderr) {
+  return (count, done = false) => {
+    if (!stream.isTTY) return;
+    stream.write(`\r⏳ ${label}: ${count} commits read${done ? '\n' : ''}`);
+  };
+}
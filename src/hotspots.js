@@ -0,0 +1,170 @@
+import { readBlobs } from './complexity.js';
+import { classifyNoise, readLinguistAttributes } from './noiseFilter.js';
+
+// Churn hotspots and temporal coupling over the analyzed range plus a lookback
+// window. A hotspot is a file that changes often, weighted by how much of it
+// was rewritten relative to its size; coupled files are pairs that keep
+// changing in the same commits.
+
+export const DEFAULT_HOTSPOT_LOOKBACK_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Sweeping commits (formatting, renames, dependency bumps) couple everything with everything
+const MAX_COUPLING_FILES = 20;
+const MIN_SHARED_CHANGES = 3;
+const MIN_COUPLING_DEGREE = 50;
+// Relative churn past this adds no more weight, so tiny rewritten files don't outrank busy ones
+const MAX_RELATIVE_CHURN = 3;
+const MAX_SIZED_FILES = 100;
+// Large hand-written files are prime hotspots, so sizes are read past the complexity cap
+const MAX_SIZED_BYTES = 4 * 1024 * 1024;
+
+// Start of the lookback window: `lookbackDays` before the oldest analyzed commit
+export function hotspotWindowStart(rangeStart, lookbackDays = DEFAULT_HOTSPOT_LOOKBACK_DAYS) {
+  return new Date(new Date(rangeStart).getTime() - lookbackDays * DAY_MS).toISOString();
+}
+
+// { head, since, rangeStart, lookbackDays, hotspots, coupling, commits }. Commits
+// from `rangeStart` on count as in range; older ones only as history.
+export async function analyzeHotspots(git, repoPath, { head, rangeStart, lookbackDays = DEFAULT_HOTSPOT_LOOKBACK_DAYS, pathspecs = [], noiseRules = { ignore: [] } }) {
+  const since = hotspotWindowStart(rangeStart, lookbackDays);
+  const output = await git.raw([
+    'log', '--no-merges', '--no-renames', '--numstat',
+    '--format=%x00%H%x09%aN%x09%aI', `--since=${since}`, head,
+    '--', ...pathspecs
+  ]);
+  const parsed = parseNumstatLog(output);
+  // Same noise rules as the analyzed commits: lockfiles and generated code aren't hotspots
+  const attributes = await readLinguistAttributes(repoPath, [...new Set(parsed.flatMap(commit => commit.files.map(change => change.file)))]);
+  const commits = parsed
+    .map(commit => ({ ...commit, files: commit.files.filter(change => !classifyNoise(change, noiseRules, attributes)) }))
+    .filter(commit => commit.files.length > 0);
+
+  const rangeTime = new Date(rangeStart).getTime();
+  const stats = new Map();
+  for (const commit of commits) {
+    const inRange = new Date(commit.date).getTime() >= rangeTime;
+    for (const change of commit.files) {
+      const entry = stats.get(change.file) || { file: change.file, changes: 0, changesInRange: 0, churn: 0, authors: new Set() };
+      entry.changes++;
+      if (inRange) entry.changesInRange++;
+      entry.churn += (change.insertions || 0) + (change.deletions || 0);
+      entry.authors.add(commit.author);
+      stats.set(change.file, entry);
+    }
+  }
+
+  // Sizes at head for the most changed files; files deleted since drop out
+  const candidates = [...stats.values()].sort((a, b) => b.changes - a.changes || b.churn - a.churn).slice(0, MAX_SIZED_FILES);
+  const blobs = await readBlobs(repoPath, candidates.map(entry => `${head}:${entry.file}`), { maxBytes: MAX_SIZED_BYTES });
+  const hotspots = candidates
+    .map(entry => {
+      const content = blobs.get(`${head}:${entry.file}`);
+      if (content === null || content === undefined) return null;
+      const lines = content.includes('\0') ? null : content.split('\n').length - (content.endsWith('\n') ? 1 : 0);
+      const relativeChurn = lines ? Math.round(100 * entry.churn / lines) / 100 : null;
+      return {
+        file: entry.file,
+        changes: entry.changes,
+        changesInRange: entry.changesInRange,
+        churn: entry.churn,
+        lines,
+        relativeChurn,
+        authors: entry.authors.size,
+        score: Math.round(10 * entry.changes * (1 + Math.min(relativeChurn ?? 0, MAX_RELATIVE_CHURN))) / 10
+      };
+    })
+    .filter(entry => entry && entry.changes > 1)
+    .sort((a, b) => b.score - a.score || b.changesInRange - a.changesInRange);
+
+  return {
+    head,
+    since,
+    rangeStart: new Date(rangeStart).toISOString(),
+    lookbackDays,
+    commits: commits.length,
+    hotspots,
+    coupling: findCoupling(commits, stats, new Set(hotspots.map(entry => entry.file)))
+  };
+}
+
+// git log --numstat with "\0<hash>\t<author>\t<date>" headers
+function parseNumstatLog(output) {
+  return output.split('\0').filter(Boolean).map(record => {
+    const [header, ...lines] = record.split('\n');
+    const [hash, author, date] = header.split('\t');
+    const files = lines
+      .map(line => line.match(/^(\d+|-)\t(\d+|-)\t(.+)$/))
+      .filter(Boolean)
+      .map(([, insertions, deletions, file]) => ({
+        file,
+        insertions: insertions === '-' ? 0 : Number(insertions),
+        deletions: deletions === '-' ? 0 : Number(deletions),
+        binary: insertions === '-'
+      }));
+    return { hash, author, date, files };
+  });
+}
+
+// Pairs of files still present at head that changed together at least
+// MIN_SHARED_CHANGES times. Degree is shared changes over the pair's average
+// change count, as a percentage.
+function findCoupling(commits, stats, present) {
+  const shared = new Map();
+  for (const commit of commits) {
+    const files = [...new Set(commit.files.map(change => change.file))].filter(file => present.has(file)).sort();
+    if (files.length < 2 || commit.files.length > MAX_COUPLING_FILES) continue;
+    for (let i = 0; i < files.length; i++) {
+      for (let j = i + 1; j < files.length; j++) {
+        const key = `${files[i]}\0${files[j]}`;
+        shared.set(key, (shared.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  return [...shared.entries()]
+    .filter(([, count]) => count >= MIN_SHARED_CHANGES)
+    .map(([key, count]) => {
+      const [a, b] = key.split('\0');
+      const average = (stats.get(a).changes + stats.get(b).changes) / 2;
+      return { files: [a, b], sharedChanges: count, degree: Math.round(100 * count / average) };
+    })
+    .filter(pair => pair.degree >= MIN_COUPLING_DEGREE)
+    .sort((a, b) => b.degree - a.degree || b.sharedChanges - a.sharedChanges);
+}
+
+// "src/pay.js: 14 changes (5 in range), churn 620 over 210 lines (2.95×), 4 authors"
+export function formatHotspot(entry) {
+  const size = entry.lines ? ` over ${entry.lines} lines (${entry.relativeChurn}×)` : '';
+  return `${entry.file}: ${entry.changes} changes (${entry.changesInRange} in range), churn ${entry.churn}${size}, ${entry.authors} ${entry.authors === 1 ? 'author' : 'authors'}`;
+}
+
+export function formatCoupling(pair) {
+  return `${pair.files[0]} ⇄ ${pair.files[1]}: ${pair.sharedChanges} shared changes (${pair.degree}% coupled)`;
+}
+
+// Markdown table for the raw "Hotspots" slide
+export function formatHotspotTable(report, max = 8) {
+  return `| File | Changes (in range) | Churn | Lines | Churn / size | Authors |
+|------|-------------------|-------|-------|--------------|---------|
+${report.hotspots.slice(0, max).map(entry =>
+    `| \`${entry.file}\` | ${entry.changes} (${entry.changesInRange}) | ${entry.churn} | ${entry.lines ?? '–'} | ${entry.relativeChurn !== null ? `${entry.relativeChurn}×` : '–'} | ${entry.authors} |`
+  ).join('\n')}`;
+}
+
+// Prompt section for per-repository hotspot reports
+export function formatHotspotContext(reports, max = 10) {
+  const withFindings = reports.filter(report => report.hotspots.length > 0 || report.coupling.length > 0);
+  if (withFindings.length === 0) {
+    return '';
+  }
+  const multiRepo = withFindings.length > 1;
+  return `HOTSPOTS (most changed files over the range plus a ${withFindings[0].lookbackDays}-day lookback, ranked by changes weighted by churn relative to size):
+${withFindings.map(report => {
+    const prefix = multiRepo ? `[${report.repository}] ` : '';
+    return [
+      ...report.hotspots.slice(0, max).map(entry => `- ${prefix}${formatHotspot(entry)}`),
+      ...report.coupling.slice(0, 5).map(pair => `- ${prefix}Coupled: ${formatCoupling(pair)}`)
+    ].join('\n');
+  }).join('\n')}`;
+}
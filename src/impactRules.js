@@ -0,0 +1,198 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { globToRegExp } from './noiseFilter.js';
+
+// Business domains for changed paths. A rules file (--impact-rules / config
+// `impactRules`) maps path globs to a domain, a criticality level and owners;
+// without one, the built-in domains below stand in for it. Owners a rule doesn't
+// name come from the repository's CODEOWNERS, and paths no rule covers become a
+// domain of their CODEOWNERS owners.
+
+export const CRITICALITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// Bare names match a whole path segment at any depth, so `user` never matches `superuser/`
+const DEFAULT_DOMAINS = [
+  { name: 'Payments', paths: ['payment', 'payments', 'billing'], criticality: 'high' },
+  { name: 'Authentication', paths: ['auth', 'security'], criticality: 'high' },
+  { name: 'API', paths: ['api', 'routes', 'controllers'], criticality: 'high' },
+  { name: 'Data', paths: ['models', 'database', 'migrations'], criticality: 'high' },
+  { name: 'Accounts', paths: ['user', 'users', 'admin'], criticality: 'high' },
+  { name: 'Configuration', paths: ['config'], criticality: 'medium' },
+  { name: 'User Interface', paths: ['ui', 'components', 'pages', 'views', 'frontend', 'client', 'public', 'assets'], criticality: 'medium', userFacing: true }
+];
+
+// Where GitHub and GitLab look for CODEOWNERS, in their lookup order
+const CODEOWNERS_LOCATIONS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS', '.gitlab/CODEOWNERS'];
+
+export async function loadImpactRules(options = {}) {
+  const rules = await loadRulesFile(options.impactRules);
+  if (rules.domains !== undefined && !Array.isArray(rules.domains)) {
+    throw new Error('Impact rules need a "domains" array');
+  }
+
+  return {
+    domains: (rules.domains || DEFAULT_DOMAINS).map(normalizeDomain),
+    custom: Boolean(rules.domains),
+    defaultCriticality: checkCriticality(rules.defaultCriticality || 'medium', 'defaultCriticality')
+  };
+}
+
+async function loadRulesFile(rules) {
+  if (!rules) {
+    return {};
+  }
+  if (typeof rules === 'object') {
+    return rules;
+  }
+
+  const rulesPath = path.resolve(rules);
+  try {
+    if (/\.(m?js)$/.test(rulesPath)) {
+      const module = await import(pathToFileURL(rulesPath).href);
+      return module.default || module;
+    }
+    return JSON.parse(await fs.readFile(rulesPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load impact rules ${rules}: ${error.message}`);
+  }
+}
+
+function normalizeDomain(domain) {
+  if (!domain?.name) {
+    throw new Error('Each impact rule domain needs a "name"');
+  }
+  const paths = toList(domain.paths || domain.path);
+  if (paths.length === 0) {
+    throw new Error(`Impact rule domain "${domain.name}" needs "paths" globs`);
+  }
+  return {
+    name: domain.name,
+    patterns: paths.map(pattern => globToRegExp(pattern.replace(/\/+$/, ''))),
+    criticality: checkCriticality(domain.criticality || 'medium', `"${domain.name}" criticality`),
+    owners: toList(domain.owners || domain.owner),
+    userFacing: Boolean(domain.userFacing)
+  };
+}
+
+function checkCriticality(value, label) {
+  const level = String(value).toLowerCase();
+  if (!CRITICALITY_LEVELS.includes(level)) {
+    throw new Error(`Invalid ${label} "${value}": use one of ${CRITICALITY_LEVELS.join(', ')}`);
+  }
+  return level;
+}
+
+// Entries from the first CODEOWNERS file found, newest first (the last matching line wins)
+export async function readCodeowners(repoPath) {
+  for (const location of CODEOWNERS_LOCATIONS) {
+    let text;
+    try {
+      text = await fs.readFile(path.join(repoPath, location), 'utf8');
+    } catch (error) {
+      continue;
+    }
+    return parseCodeowners(text);
+  }
+  return [];
+}
+
+export function parseCodeowners(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    // GitLab section headers ([Section] or ^[Optional section]) carry no path
+    .filter(line => line && !/^\^?\[/.test(line))
+    .map(line => {
+      const [pattern, ...owners] = line.split(/\s+/);
+      // Same rules as .gitignore: "docs/" is a directory at any depth, "/docs/" only at the root
+      return { pattern: globToRegExp(pattern.replace(/\/+$/, '') || '**'), owners };
+    })
+    .reverse();
+}
+
+// { name, criticality, owners, userFacing } for one path, or null when nothing covers it
+export function resolveDomain(file, rules, codeowners = []) {
+  const owners = codeowners.find(entry => entry.pattern.test(file))?.owners || [];
+  const rule = rules.domains.find(domain => domain.patterns.some(pattern => pattern.test(file)));
+  if (rule) {
+    return {
+      name: rule.name,
+      criticality: rule.criticality,
+      owners: rule.owners.length > 0 ? rule.owners : owners,
+      userFacing: rule.userFacing
+    };
+  }
+  if (owners.length > 0) {
+    return { name: owners.join(' '), criticality: rules.defaultCriticality, owners, userFacing: false };
+  }
+  return null;
+}
+
+// Sets commit.domains ([{ name, criticality, owners, userFacing, files }], most critical
+// first) from each commit's or pull request unit's file changes. Returns how many matched.
+export function attachDomains(commits, rules, codeowners = []) {
+  let matched = 0;
+  for (const commit of commits) {
+    const domains = new Map();
+    for (const change of commit.fileChanges || []) {
+      const domain = resolveDomain(change.file, rules, codeowners);
+      if (!domain) continue;
+      const entry = domains.get(domain.name) || { ...domain, owners: [], files: 0 };
+      entry.owners = [...new Set([...entry.owners, ...domain.owners])];
+      entry.files++;
+      domains.set(domain.name, entry);
+    }
+    commit.domains = [...domains.values()].sort(byCriticality);
+    if (commit.domains.length > 0) matched++;
+  }
+  return matched;
+}
+
+// Per-domain change counts across commits, most critical and busiest first
+export function summarizeDomains(commits) {
+  const summary = new Map();
+  for (const commit of commits) {
+    for (const domain of commit.domains || []) {
+      const entry = summary.get(domain.name) || { ...domain, owners: [], files: 0, changes: 0 };
+      entry.owners = [...new Set([...entry.owners, ...domain.owners])];
+      entry.files += domain.files;
+      entry.changes++;
+      summary.set(domain.name, entry);
+    }
+  }
+  return [...summary.values()].sort((a, b) => byCriticality(a, b) || b.changes - a.changes);
+}
+
+export function compareCriticality(a, b) {
+  return CRITICALITY_LEVELS.indexOf(a) - CRITICALITY_LEVELS.indexOf(b);
+}
+
+function byCriticality(a, b) {
+  return compareCriticality(b.criticality, a.criticality);
+}
+
+// "Checkout: 6 changes, high criticality (owners: @acme/payments)"
+export function formatDomainSummary(domain) {
+  return `${domain.name}: ${domain.changes} ${domain.changes === 1 ? 'change' : 'changes'}, ${domain.criticality} criticality${domain.owners.length > 0 ? ` (owners: ${domain.owners.join(', ')})` : ''}`;
+}
+
+export function formatDomainDetails(commit) {
+  if (!commit.domains?.length) {
+    return '';
+  }
+  return `Business domains: ${commit.domains.map(domain => `${domain.name} (${domain.criticality})`).join(', ')}`;
+}
+
+export function formatDomainContext(commits, max = 12) {
+  const domains = summarizeDomains(commits);
+  if (domains.length === 0) {
+    return '';
+  }
+  return `BUSINESS DOMAINS (from impact rules and CODEOWNERS):
+${domains.slice(0, max).map(domain => `- ${formatDomainSummary(domain)}`).join('\n')}`;
+}
+
+function toList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
@@ -1,6 +1,6 @@
 import simpleGit from 'simple-git';
 import inquirer from 'inquirer';
-import { Agent, run, setDefaultOpenAIKey } from '@openai/agents';
+import { Agent, setDefaultOpenAIKey } from '@openai/agents';
 import fs from 'fs/promises';
 import path from 'path';
 import chalk from 'chalk';
@@ -8,6 +8,49 @@ import { spawn } from 'child_process';
 import { slideGenerationPrompt } from '../prompts/slideGeneration.js';
 import { getPromptByStyle } from '../prompts/index.js';
 import { generateSlidesWithMultiAgent } from './multiAgent.js';
+import { resolveCommitRange, hasRangeOptions } from './commitRange.js';
+import { resolvePeriod } from './periods.js';
+import { groupPullRequests, formatPullRequestDetails } from './mergeHistory.js';
+import {
+  resolveRepositories,
+  mergeRepositoryTimelines,
+  summarizeRepositories,
+  correlateAcrossRepositories,
+  formatCrossRepositoryContext
+} from './repositories.js';
+import {
+  buildPathspecs,
+  describePathScope,
+  detectWorkspaces,
+  attributePackages,
+  groupCommitsByPackage,
+  ROOT_PACKAGE_LABEL
+} from './pathScope.js';
+import {
+  parseConventionalCommit,
+  getChangeTypeForConventional,
+  collectBreakingChanges,
+  formatConventionalDetails
+} from './conventionalCommits.js';
+import { loadTeam, identifyContributors, filterCommits, getContributors, getWorkDistribution } from './team.js';
+import { streamCommits, createProgressReporter } from './gitLogStream.js';
+import { createFileChange, isMove, formatFileChange, formatMoveDetails, collectMoves } from './fileChanges.js';
+import { createAnalysisCache } from './analysisCache.js';
+import { parseTrailers, formatTrailerDetails, getIssueRefs, formatIssueRefs } from './trailers.js';
+import { loadIssueTrackers, attachIssues, linkIssueKeys, buildIssueAppendix, formatIssueContext } from './issues.js';
+import { assignReleases, summarizeRelease, formatReleaseContext } from './releases.js';
+import { useAnalysisCache, useNoiseRules, useImpactRules, useRepositories, useTeam } from './gitAnalysisTools.js';
+import { createNoiseRules, separateNoise, summarizeGeneratedChurn, formatGeneratedChurn } from './noiseFilter.js';
+import { attachComplexity, complexityRange, formatComplexityDetails } from './complexity.js';
+import { diffRangeApi, formatApiChange, formatApiContext } from './apiSurface.js';
+import { diffRangeDependencies, attachDependencyChanges, formatDependencyChange, formatDependencyDetails, summarizeDependencyChanges, formatDependencySummary, formatDependencyContext } from './dependencies.js';
+import { loadImpactRules, readCodeowners, attachDomains, formatDomainDetails } from './impactRules.js';
+import { createFileClassifier, useFileClassifier, describeFile, summarizeRoles, formatRoleSummary } from './fileClassifier.js';
+import { analyzeOwnership, formatUnusualChange, formatOwnershipContext } from './ownership.js';
+import { analyzeHotspots, formatHotspotTable, formatCoupling, formatHotspotContext, DEFAULT_HOTSPOT_LOOKBACK_DAYS } from './hotspots.js';
+import { readCoverageFile, readCommittedCoverage, compareCoverage, collectChangedSources, formatCoverageChange, formatCoverageContext, DEFAULT_COVERAGE_THRESHOLD } from './coverage.js';
+import { createRedactor, createAuditLog, useRedaction, runAgent, formatRedactionSummary } from './redaction.js';
+import { loadTrackerImports, attachTrackerData, summarizeTrackerData, hasTrackerData, formatTrackerSummary, formatTrackerDetails, formatTrackerContext } from './trackerImport.js';
 
 class BlackflagWeekly {
   constructor(options = {}) {
@@ -134,23 +177,149 @@ Return clean, valid JSON that tells a compelling technical story.`,
   }
 
   async run() {
-    console.log(chalk.blue('📚 Fetching recent git history...\n'));
+    if (this.options.groupPrs && this.options.merges === false) {
+      throw new Error('--group-prs needs merge commits and cannot be combined with --no-merges');
+    }
+    if (this.options.groupPrs && this.options.firstParent) {
+      throw new Error('--group-prs reads each merged branch and cannot be combined with --first-parent');
+    }
+
+    // Reporting periods (--week/--last-week/--this-month/--sprint) resolve to date bounds
+    this.period = resolvePeriod(this.options);
+    const rangeOptions = this.period ?
+      { ...this.options, since: this.period.since, until: this.period.until } :
+      this.options;
+
+    // Roster, bot patterns and --author/--team filters
+    this.team = await loadTeam(this.options);
+    useTeam(this.team);
+
+    // Issue keys (JIRA-style and #123 unless `issueTrackers` is configured)
+    this.issueTrackers = loadIssueTrackers(this.options);
+
+    // Exported pull request / issue metadata (--prs-file, --issues-file)
+    this.trackerImports = await loadTrackerImports(this.options);
+    if (this.trackerImports.pullRequests.length > 0 || this.trackerImports.issues.length > 0) {
+      console.log(chalk.gray(`📥 Imported ${this.trackerImports.pullRequests.length} pull requests and ${this.trackerImports.issues.length} issues`));
+    }
 
-    // Get recent commits
-    const recentCommits = await this.getRecentCommits();
+    // Path globs to business domains, criticality and owners (--impact-rules)
+    this.impactRules = await loadImpactRules(this.options);
+    useImpactRules(this.impactRules);
+
+    // File roles and languages (config `fileClassifier` extends the built-in registry)
+    this.fileClassifier = createFileClassifier(this.options);
+    useFileClassifier(this.fileClassifier);
+
+    // Lockfiles, generated/vendored/binary files and --ignore globs count as generated churn
+    this.noiseRules = createNoiseRules(this.options);
+    useNoiseRules(this.noiseRules);
+
+    // Secrets and sensitive data are redacted from everything sent to the model
+    // (config `redaction`, --no-redact); --audit-log records exactly what was sent
+    this.redactor = createRedactor(this.options);
+    this.auditLog = createAuditLog({ enabled: !this.options.skipAi, file: this.options.auditLog });
+    useRedaction({ redactor: this.redactor, auditLog: this.auditLog });
+    if (!this.options.skipAi && !this.redactor.enabled) {
+      console.log(chalk.yellow('⚠️ Redaction is disabled: prompts and tool output are sent to the model unredacted'));
+    }
+
+    // --include/--exclude globs become git pathspecs for every history query
+    this.pathspecs = buildPathspecs(this.options);
+    if (this.pathspecs.length > 0) {
+      console.log(chalk.gray(`📂 Path scope: ${describePathScope(this.options)}`));
+    }
+
+    // --repo / config `repositories`; defaults to the current directory
+    this.repositories = await resolveRepositories(this.options);
+    this.git = this.repositories[0].git;
+    useRepositories(this.repositories);
+    const multiRepo = this.repositories.length > 1;
 
-    if (recentCommits.length === 0) {
-      console.log(chalk.yellow('⚠️  No commits found in this repository.'));
-      return;
+    // Supplied coverage reports (--coverage-before/--coverage-after) describe one repository
+    if (multiRepo && (this.options.coverageBefore || this.options.coverageAfter)) {
+      throw new Error('--coverage-before/--coverage-after need a single repository; commit coverage reports to compare several');
+    }
+    this.coverageReports = {
+      before: this.options.coverageBefore ? await readCoverageFile(this.options.coverageBefore) : null,
+      after: this.options.coverageAfter ? await readCoverageFile(this.options.coverageAfter) : null
+    };
+    this.coverageThreshold = Number(this.options.coverageThreshold ?? DEFAULT_COVERAGE_THRESHOLD);
+    if (!Number.isFinite(this.coverageThreshold) || this.coverageThreshold < 0 || this.coverageThreshold > 100) {
+      throw new Error(`Invalid --coverage-threshold "${this.options.coverageThreshold}": expected a percentage from 0 to 100`);
+    }
+    this.hotspotLookback = Number(this.options.hotspotLookback ?? DEFAULT_HOTSPOT_LOOKBACK_DAYS);
+    if (!Number.isInteger(this.hotspotLookback) || this.hotspotLookback < 0) {
+      throw new Error(`Invalid --hotspot-lookback "${this.options.hotspotLookback}": expected a whole number of days`);
     }
 
-    // Let user select starting point
-    const selectedCommit = await this.selectStartingCommit(recentCommits);
+    // Per-commit cache in .blackflag/cache (--no-cache bypasses it)
+    this.cache = createAnalysisCache({
+      enabled: this.options.cache !== false,
+      dir: this.options.cacheDir,
+      variant: { pathspecs: this.pathspecs, gitConfig: this.repositories[0].gitConfig, fileClassifier: this.options.fileClassifier || null }
+    });
+    useAnalysisCache(this.cache);
+
+    let commits;
+
+    // Tagged releases inside the analyzed range, across all repositories
+    this.releases = [];
+    // Range-level API surface and dependency diffs, coverage deltas, hotspot and ownership reports, one per repository
+    this.apiChanges = [];
+    this.dependencyChanges = [];
+    this.coverage = [];
+    this.hotspots = [];
+    this.ownership = [];
+
+    // Non-interactive range (--since/--until/--from/--to/--range) replaces the commit picker
+    if (hasRangeOptions(rangeOptions)) {
+      const commitsByRepository = [];
+      let label;
+
+      for (const repository of this.repositories) {
+        const range = await this.resolveRepositoryRange(repository, rangeOptions);
+        label = range.label;
+        const prefix = multiRepo ? `[${repository.name}] ` : '';
+
+        console.log(chalk.blue(`📚 ${prefix}Fetching git history for ${range.label}...`));
+        const repoCommits = await this.getCommitsInRange(range, repository);
+        console.log(chalk.green(`✅ ${prefix}Found ${repoCommits.length} commits (${range.label})`));
+
+        commitsByRepository.push(await this.prepareCommits(repoCommits, repository, range));
+      }
+
+      commits = mergeRepositoryTimelines(commitsByRepository);
+      console.log('');
+
+      if (commits.length === 0) {
+        throw new Error(`No commits found (${label})`);
+      }
+    } else {
+      if (multiRepo) {
+        throw new Error('Aggregating several repositories needs a range (--since, --from/--to, --range or a period such as --last-week)');
+      }
+
+      console.log(chalk.blue('📚 Fetching recent git history...\n'));
 
-    // Get commits from selected point to HEAD
-    const commits = await this.getCommitsFromPoint(selectedCommit.hash);
+      // Get recent commits
+      const recentCommits = await this.getRecentCommits();
 
-    console.log(chalk.green(`\n✅ Found ${commits.length} commits from selected point to HEAD\n`));
+      if (recentCommits.length === 0) {
+        console.log(chalk.yellow('⚠️  No commits found in this repository.'));
+        return;
+      }
+
+      // Let user select starting point
+      const selectedCommit = await this.selectStartingCommit(recentCommits);
+
+      // Get commits from selected point to HEAD
+      commits = await this.getCommitsFromPoint(selectedCommit.hash);
+
+      console.log(chalk.green(`\n✅ Found ${commits.length} commits from selected point to HEAD\n`));
+
+      commits = await this.prepareCommits(commits, this.repositories[0]);
+    }
 
     // Store commits for potential fallback
     this.lastCommits = commits;
@@ -160,16 +329,295 @@ Return clean, valid JSON that tells a compelling technical story.`,
       ? await this.generateRawSlides(commits)
       : await this.generateAISlides(commits);
 
-    // Create slides
-    await this.createSlidevPresentation(slideContent);
+    if (this.auditLog.count() > 0) {
+      console.log(chalk.gray(`🛡️ ${formatRedactionSummary(this.redactor.summary())} before sending to the model`));
+      console.log(chalk.gray(`📝 Audit log: ${this.auditLog.path}`));
+    }
+
+    // Issue appendix and tracker links apply to AI and raw decks alike
+    await this.createSlidevPresentation(this.addIssueLinks(slideContent, commits));
 
     console.log(chalk.green.bold('\n🎉 Slides generated successfully!'));
     console.log(chalk.blue(`📁 Output: ${path.resolve(this.options.output)}`));
   }
 
+  // Appends the "📎 Issues Touched" slide and links issue keys (issueTrackers config)
+  addIssueLinks(slideContent, commits) {
+    const appendix = buildIssueAppendix(commits);
+    const deck = appendix ? `${slideContent.trimEnd()}\n\n---\n\n${appendix}` : slideContent;
+    return linkIssueKeys(deck, this.issueTrackers);
+  }
+
+  async resolveRepositoryRange(repository, rangeOptions) {
+    try {
+      const range = await resolveCommitRange(repository.git, rangeOptions);
+      if (this.period) {
+        range.label = this.period.label;
+      }
+      return range;
+    } catch (error) {
+      throw this.repositories.length > 1 ? new Error(`${repository.name}: ${error.message}`) : error;
+    }
+  }
+
+  // Labels commits with their repository and roster identity, applies per-repository
+  // grouping, drops bot commits and anything outside --author/--team, then tags
+  // the rest with the release they shipped in
+  async prepareCommits(commits, repository, range = null) {
+    commits.forEach(commit => { commit.repository = repository.name; });
+    identifyContributors(commits, this.team);
+
+    // Before PR grouping, so unit totals are summed from filtered commits
+    const categorize = (message, fileChanges) => this.categorizeCommit(message, fileChanges);
+    await separateNoise(commits, repository.path, this.noiseRules, { categorize });
+
+    // Attribute file changes to npm/yarn/pnpm workspace packages when present
+    repository.packages = repository.packages || await detectWorkspaces(repository.path);
+
+    // Collapse merged branches into pull request units (--group-prs)
+    if (this.options.groupPrs) {
+      const commitCount = commits.length;
+      commits = await groupPullRequests(repository.git, commits, { categorize });
+      commits.forEach(commit => { commit.repository = repository.name; });
+      const prCount = commits.filter(unit => unit.isPullRequest).length;
+      console.log(chalk.green(`🔀 Grouped ${commitCount} commits into ${prCount} pull requests and ${commits.length - prCount} direct commits`));
+    }
+
+    // After grouping, so kept pull request units are narrowed to the commits that pass
+    const filtered = filterCommits(commits, this.team);
+    if (filtered.length < commits.length) {
+      console.log(chalk.gray(`👥 Filtered out ${commits.length - filtered.length} commits (bots or --author/--team)`));
+    }
+
+    if (repository.packages.length > 0) {
+      attributePackages(filtered, repository.packages);
+    }
+
+    // Business domains from --impact-rules, with CODEOWNERS filling in owners
+    repository.codeowners = repository.codeowners || await readCodeowners(repository.path);
+    attachDomains(filtered, this.impactRules, repository.codeowners);
+
+    // After grouping, so pull request units also pick up keys from their branch names
+    attachIssues(filtered, this.issueTrackers);
+    const tracked = attachTrackerData(filtered, this.trackerImports);
+    if (tracked.pullRequests > 0 || tracked.issues > 0) {
+      console.log(chalk.gray(`📥 Matched ${tracked.pullRequests} pull requests and ${tracked.issues} issue references to commits`));
+    }
+
+    // Parsed JS/TS complexity deltas for the technical style and --deep-dive
+    if (this.options.style === 'technical' || this.options.deepDive) {
+      const measured = await attachComplexity(filtered, repository.path, this.cache);
+      if (measured > 0) {
+        console.log(chalk.gray(`📐 Measured JS/TS complexity changes in ${measured} commits`));
+      }
+    }
+
+    // Added, removed and re-versioned dependencies per commit, from manifests and lockfiles
+    await attachDependencyChanges(filtered, repository.path, this.cache);
+
+    // Split the timeline at tags (--tag-pattern) into release segments; tags on bot or
+    // filtered-out commits still count
+    const releases = await assignReleases(repository.git, commits, { pattern: this.options.tagPattern, from: range?.from, labelled: filtered });
+    if (releases.length > 0) {
+      releases.forEach(segment => { segment.repository = repository.name; });
+      this.releases.push(...releases);
+      const tagged = releases.filter(segment => segment.released).map(segment => segment.name);
+      console.log(chalk.green(`🏷️  Releases in range: ${tagged.join(', ')}`));
+    }
+
+    // Exported symbols, HTTP routes and OpenAPI operations at the range start vs. its end
+    const ends = this.getRangeEnds(commits, range);
+    const apiDiff = await this.diffRepositoryApi(ends, repository);
+    if (apiDiff.changes.length > 0) {
+      this.apiChanges.push(apiDiff);
+      const breaking = apiDiff.changes.filter(change => change.breaking).length;
+      console.log(chalk[breaking > 0 ? 'yellow' : 'gray'](`🔌 API changes: ${apiDiff.changes.length} (${breaking} breaking)`));
+    }
+
+    // Dependency manifests and lockfiles at the range start vs. its end
+    const dependencyDiff = await this.diffRepositoryDependencies(ends, repository);
+    if (dependencyDiff.changes.length > 0) {
+      this.dependencyChanges.push(dependencyDiff);
+      const counts = summarizeDependencyChanges(dependencyDiff.changes);
+      console.log(chalk[counts.major > 0 ? 'yellow' : 'gray'](`🧩 Dependency changes: ${formatDependencySummary(counts)}`));
+    }
+
+    // Line coverage at both ends, for the files this range changed
+    repository.coverage = await this.measureRepositoryCoverage(commits, ends, repository);
+    if (repository.coverage) {
+      this.coverage.push(repository.coverage);
+      console.log(chalk.gray(`🧪 Coverage: ${formatCoverageChange(repository.coverage.overall)}, ${repository.coverage.lowCoverage.length} changed ${repository.coverage.lowCoverage.length === 1 ? 'file' : 'files'} under ${repository.coverage.threshold}%`));
+    }
+
+    // Most changed files and change coupling over the range plus --hotspot-lookback days.
+    // Other styles leave the window for the find_hotspots tool to analyze on first use.
+    repository.hotspotWindow = ends ? {
+      head: ends.head,
+      rangeStart: commits[commits.length - 1].date,
+      lookbackDays: this.hotspotLookback,
+      pathspecs: this.pathspecs
+    } : null;
+    if (this.showsHotspots() && ends) {
+      repository.hotspots = await this.findRepositoryHotspots(repository);
+      if (repository.hotspots) {
+        this.hotspots.push(repository.hotspots);
+        const { hotspots, coupling } = repository.hotspots;
+        console.log(chalk.gray(`🔥 Hotspots: ${hotspots.length} ${hotspots.length === 1 ? 'file' : 'files'} changed more than once, ${coupling.length} coupled ${coupling.length === 1 ? 'pair' : 'pairs'} (${repository.hotspots.commits} commits since ${new Date(repository.hotspots.since).toLocaleDateString()})`));
+      }
+    }
+
+    // Blame-based owners and bus factor for the touched files, at the range end
+    if (this.showsOwnership() && ends) {
+      repository.ownership = await this.analyzeRepositoryOwnership(commits, filtered, ends, repository);
+      if (repository.ownership) {
+        this.ownership.push(repository.ownership);
+        const { files, busFactor, unusualChanges } = repository.ownership;
+        console.log(chalk.gray(`🧠 Ownership: ${files.length} ${files.length === 1 ? 'file' : 'files'} blamed, bus factor ${busFactor}, ${unusualChanges.length} ${unusualChanges.length === 1 ? 'area' : 'areas'} changed outside the usual owner`));
+      }
+    }
+
+    return filtered;
+  }
+
+  // The range start (or the oldest commit's parent) and the newest commit. From the
+  // unfiltered commits, so --author/--team don't narrow range-level comparisons.
+  getRangeEnds(commits, range) {
+    if (commits.length === 0) {
+      return null;
+    }
+    return {
+      base: range?.from || complexityRange(commits[commits.length - 1]).base,
+      head: commits[0].hash
+    };
+  }
+
+  // Cache name for an analysis of base..head; the cache variant covers the path
+  // scope and classifier config, which change what a range diff reports
+  rangeAnalysisKey(name, base) {
+    return `${name}:${base}:${this.cache?.variant}`;
+  }
+
+  // Diffs the exported API, routes and OpenAPI operations between the range ends
+  async diffRepositoryApi(ends, repository) {
+    const empty = { repository: repository.name, changes: [], breaking: false, skipped: 0 };
+    if (!ends) {
+      return empty;
+    }
+    const { base, head } = ends;
+    try {
+      const key = this.rangeAnalysisKey('api_surface', base);
+      let apiDiff = await this.cache?.readAnalysis(head, key);
+      if (!apiDiff) {
+        apiDiff = await diffRangeApi(repository.git, repository.path, { base, head, pathspecs: this.pathspecs });
+        await this.cache?.writeAnalysis(head, key, apiDiff);
+      }
+      return { ...apiDiff, repository: repository.name };
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ API surface diff skipped: ${error.message}`));
+      return empty;
+    }
+  }
+
+  // Diffs dependency manifests and lockfiles between the range ends
+  async diffRepositoryDependencies(ends, repository) {
+    const empty = { repository: repository.name, manifests: [], changes: [] };
+    if (!ends) {
+      return empty;
+    }
+    const { base, head } = ends;
+    try {
+      const key = this.rangeAnalysisKey('dependency_diff', base);
+      let dependencyDiff = await this.cache?.readAnalysis(head, key);
+      if (!dependencyDiff) {
+        dependencyDiff = await diffRangeDependencies(repository.git, repository.path, { base, head, pathspecs: this.pathspecs });
+        await this.cache?.writeAnalysis(head, key, dependencyDiff);
+      }
+      return { ...dependencyDiff, repository: repository.name };
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Dependency diff skipped: ${error.message}`));
+      return empty;
+    }
+  }
+
+  // --coverage-before/--coverage-after, else reports committed at the range ends.
+  // Null when neither end has a report.
+  async measureRepositoryCoverage(commits, ends, repository) {
+    if (!ends) {
+      return null;
+    }
+    const readCommitted = async ref => {
+      try {
+        return await readCommittedCoverage(repository.path, ref);
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️ Committed coverage report at ${ref} skipped: ${error.message}`));
+        return null;
+      }
+    };
+    const before = this.coverageReports.before || await readCommitted(ends.base);
+    const after = this.coverageReports.after || await readCommitted(ends.head);
+    if (!before && !after) {
+      return null;
+    }
+    const coverage = compareCoverage(before, after, collectChangedSources(commits), { threshold: this.coverageThreshold });
+    return { ...coverage, repository: repository.name };
+  }
+
+  // Coverage numbers go into --include-metrics decks and the technical style
+  showsCoverage() {
+    return Boolean(this.options.includeMetrics) || this.options.style === 'technical';
+  }
+
+  // Hotspot reports from the oldest analyzed commit back --hotspot-lookback days, up to
+  // the range end. Null when the history can't be read.
+  async findRepositoryHotspots(repository) {
+    try {
+      const report = await analyzeHotspots(repository.git, repository.path, { ...repository.hotspotWindow, noiseRules: this.noiseRules });
+      return { ...report, repository: repository.name };
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Hotspot analysis skipped: ${error.message}`));
+      return null;
+    }
+  }
+
+  // Hotspots are a technical and retrospective topic
+  showsHotspots() {
+    return this.options.style === 'technical' || this.options.style === 'retrospective';
+  }
+
+  // Blames the files the filtered commits touched at the range end. Every commit in
+  // the range is excluded from "usual owner" lines, filtered or not. Null on failure.
+  async analyzeRepositoryOwnership(commits, filtered, ends, repository) {
+    const rangeHashes = new Set(commits.flatMap(unit => [unit.hash, ...(unit.commits || []).map(commit => commit.hash)]));
+    try {
+      const report = await analyzeOwnership(repository.git, { head: ends.head, commits: filtered, rangeHashes, team: this.team });
+      return { ...report, repository: repository.name };
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Ownership analysis skipped: ${error.message}`));
+      return null;
+    }
+  }
+
+  // Knowledge distribution is a team topic: retrospective decks, plus the technical style
+  showsOwnership() {
+    return this.options.style === 'technical' || this.options.style === 'retrospective';
+  }
+
+  // git log flags for --first-parent / --no-merges
+  getHistoryArgs() {
+    const args = [];
+    if (this.options.firstParent) args.push('--first-parent');
+    if (this.options.merges === false) args.push('--no-merges');
+    return args;
+  }
+
+  // Trailing "-- <pathspec>..." for --include/--exclude, or nothing when unscoped
+  getPathspecArgs() {
+    return this.pathspecs?.length > 0 ? ['--', ...this.pathspecs] : [];
+  }
+
   async getRecentCommits(count = 20) {
     try {
-      const log = await this.git.log(['-n', count.toString()]);
+      const log = await this.git.log(['-n', count.toString(), ...this.getHistoryArgs(), ...this.getPathspecArgs()]);
       return log.all.map((commit, index) => ({
         index: index + 1,
         hash: commit.hash,
@@ -204,107 +652,131 @@ Return clean, valid JSON that tells a compelling technical story.`,
 
   async getCommitsFromPoint(fromHash) {
     try {
-      // Get all commits and filter from the selected commit to HEAD
-      const allLog = await this.git.log();
-      const commits = allLog.all;
-
-      // Find the index of the selected commit
-      const startIndex = commits.findIndex(commit => commit.hash === fromHash);
-
-      if (startIndex === -1) {
-        throw new Error(`Commit ${fromHash} not found in history`);
-      }
-
-      // Get commits from the selected commit (inclusive) to HEAD
-      const selectedCommits = commits.slice(0, startIndex + 1);
-
-      // Enhance each commit with file changes and stats
-      const enhancedCommits = await Promise.all(
-        selectedCommits.map(async (commit) => {
-          try {
-            // Get file changes for this commit
-            const diffSummary = await this.git.diffSummary([`${commit.hash}^`, commit.hash]);
-            const show = await this.git.show([commit.hash, '--name-status']);
-
-            // Parse file changes
-            const fileChanges = this.parseFileChanges(show);
-
-            return {
-              hash: commit.hash,
-              message: commit.message,
-              author: commit.author_name,
-              date: commit.date,
-              body: commit.body,
-              stats: {
-                files: diffSummary.files.length,
-                insertions: diffSummary.insertions,
-                deletions: diffSummary.deletions
-              },
-              fileChanges: fileChanges,
-              changeType: this.categorizeCommit(commit.message, fileChanges)
-            };
-          } catch (error) {
-            // Fallback for commits that can't be diffed (like initial commit)
-            return {
-              hash: commit.hash,
-              message: commit.message,
-              author: commit.author_name,
-              date: commit.date,
-              body: commit.body,
-              stats: { files: 0, insertions: 0, deletions: 0 },
-              fileChanges: [],
-              changeType: this.categorizeCommit(commit.message, [])
-            };
-          }
-        })
-      );
-
-      return enhancedCommits;
+      // Selected commit (inclusive) up to HEAD: exclude everything reachable from its parents
+      const repository = this.repositories[0];
+      return await this.streamRepositoryCommits(repository, ['HEAD', '--not', `${fromHash}^@`]);
     } catch (error) {
       throw new Error(`Failed to fetch commits from ${fromHash}: ${error.message}`);
     }
   }
 
-  parseFileChanges(showOutput) {
-    const lines = showOutput.split('\n');
-    const changes = [];
+  async getCommitsInRange(range, repository = this.repositories[0]) {
+    try {
+      return await this.streamRepositoryCommits(repository, range.logArgs);
+    } catch (error) {
+      throw new Error(`Failed to fetch commits for ${range.label}: ${error.message}`);
+    }
+  }
+
+  // One streamed `git log --raw --numstat` pass yields messages, file lists and
+  // line stats together, instead of two extra git calls per commit
+  async streamRepositoryCommits(repository, revisionArgs) {
+    const streamOptions = {
+      cwd: repository.path,
+      gitConfig: repository.gitConfig,
+      pathspecs: this.pathspecs || [],
+      onProgress: createProgressReporter(this.repositories.length > 1 ? `Reading ${repository.name}` : 'Reading history')
+    };
 
-    for (const line of lines) {
-      if (line.match(/^[AMD]\s+/)) {
-        const [status, ...pathParts] = line.split('\s+');
-        const path = pathParts.join(' ');
-        changes.push({
-          status: status, // A=Added, M=Modified, D=Deleted
-          file: path,
-          type: this.getFileType(path)
-        });
-      }
+    if (!this.cache?.enabled) {
+      // Enhanced as they stream, so raw records never pile up next to the result
+      const commits = [];
+      await streamCommits({
+        ...streamOptions,
+        revisionArgs,
+        historyArgs: this.getHistoryArgs(),
+        onCommit: record => { commits.push(this.enhanceCommit(record)); }
+      });
+      return commits;
+    }
+
+    // List the range first, then stream only the commits the cache doesn't have
+    const output = await repository.git.raw(['rev-list', ...this.getHistoryArgs(), ...revisionArgs, ...this.getPathspecArgs()]);
+    const hashes = output.split('\n').filter(Boolean);
+    // Sequential file reads keep open descriptors bounded on very large ranges
+    const cached = [];
+    for (const hash of hashes) {
+      cached.push(await this.cache.readCommit(hash));
+    }
+    const missing = hashes.filter((hash, index) => !cached[index]);
+
+    const freshByHash = new Map();
+    if (missing.length > 0) {
+      await streamCommits({
+        ...streamOptions,
+        revisions: missing,
+        onCommit: async record => {
+          const commit = this.enhanceCommit(record);
+          await this.cache.writeCommit(commit.hash, commit);
+          freshByHash.set(commit.hash, commit);
+        }
+      });
+    }
+
+    if (hashes.length > 0) {
+      console.log(chalk.gray(`💾 ${hashes.length - missing.length} of ${hashes.length} commits loaded from cache`));
     }
 
-    return changes;
+    return hashes
+      .map((hash, index) => cached[index] || freshByHash.get(hash))
+      .filter(Boolean);
   }
 
-  getFileType(filepath) {
-    if (filepath.endsWith('.md')) return 'documentation';
-    if (filepath.endsWith('.js') || filepath.endsWith('.ts')) return 'code';
-    if (filepath.endsWith('.json')) return 'configuration';
-    if (filepath.endsWith('.test.js') || filepath.includes('test')) return 'testing';
-    if (filepath.includes('README')) return 'documentation';
-    return 'other';
+  enhanceCommit(record) {
+    const fileChanges = this.parseFileChanges(record.files);
+
+    return {
+      hash: record.hash,
+      message: record.message,
+      author: record.author_name,
+      authorEmail: record.author_email,
+      date: record.date,
+      body: record.body,
+      parents: record.parents,
+      isMerge: record.parents.length > 1,
+      conventional: parseConventionalCommit(record.message, record.body),
+      trailers: parseTrailers(record.message, record.body),
+      stats: record.stats,
+      fileChanges: fileChanges,
+      filesTruncated: record.filesTruncated,
+      changeType: this.categorizeCommit(record.message, fileChanges)
+    };
+  }
+
+  // Streamed --raw/--numstat entries → { status, oldPath, newPath, file, similarity, insertions, deletions, binary, type, language }
+  // `type` is the file's role from fileClassifier.js (source, test, docs, config, infra, build, assets, migration)
+  parseFileChanges(files) {
+    return files.map(file => {
+      const change = createFileChange(file);
+      const { role, language } = describeFile(change.file);
+      change.type = role;
+      change.language = language;
+      return change;
+    });
   }
 
   categorizeCommit(message, fileChanges) {
     const msg = message.toLowerCase();
     const fileTypes = fileChanges.map(c => c.type);
 
+    // Conventional Commits type wins (feat, fix, perf, build, ci, chore, ...)
+    const conventionalType = getChangeTypeForConventional(parseConventionalCommit(message).type);
+    if (conventionalType) return conventionalType;
+
+    // Loose prefixes for non-conventional messages ("Fix login", "Docs update")
     if (msg.startsWith('feat')) return 'feature';
     if (msg.startsWith('fix')) return 'bugfix';
     if (msg.startsWith('docs')) return 'documentation';
     if (msg.startsWith('test')) return 'testing';
     if (msg.startsWith('refactor')) return 'refactoring';
-    if (fileTypes.includes('testing')) return 'testing';
-    if (fileTypes.includes('documentation')) return 'documentation';
-    if (fileTypes.includes('configuration')) return 'configuration';
+    // Commits that only move or copy files are restructuring
+    if (fileChanges.length > 0 && fileChanges.every(isMove)) return 'refactoring';
+    if (fileTypes.includes('test')) return 'testing';
+    if (fileTypes.includes('docs')) return 'documentation';
+    if (fileTypes.includes('migration')) return 'migration';
+    if (fileTypes.includes('infra')) return 'infrastructure';
+    if (fileTypes.includes('build')) return 'build';
+    if (fileTypes.includes('config')) return 'configuration';
 
     return 'general';
   }
@@ -314,7 +786,8 @@ Return clean, valid JSON that tells a compelling technical story.`,
     const totalFiles = commits.reduce((sum, c) => sum + (c.stats?.files || 0), 0);
     const totalInsertions = commits.reduce((sum, c) => sum + (c.stats?.insertions || 0), 0);
     const totalDeletions = commits.reduce((sum, c) => sum + (c.stats?.deletions || 0), 0);
-    const contributors = [...new Set(commits.map(c => c.author))];
+    const contributors = getContributors(commits);
+    const workDistribution = getWorkDistribution(commits);
     const workByCategory = this.categorizeWork(commits);
 
     // Analyze the story arc
@@ -327,6 +800,26 @@ Return clean, valid JSON that tells a compelling technical story.`,
     const isFeatureDevelopment = workByCategory.feature?.length > 0;
     const hadChallenges = workByCategory.bugfix?.length > 0;
     const hasDocumentation = workByCategory.documentation?.length > 0;
+    const breakingChanges = collectBreakingChanges(commits);
+    const moves = collectMoves(commits);
+    const generatedChurn = summarizeGeneratedChurn(commits);
+    const trackerSummary = summarizeTrackerData(commits);
+    const roleCounts = summarizeRoles(commits);
+    const coverage = this.showsCoverage() ? this.coverage : [];
+    const hotspots = this.hotspots.filter(report => report.hotspots.length > 0 || report.coupling.length > 0);
+    const ownership = this.ownership.filter(report => report.files.length > 0);
+    const apiChanges = this.apiChanges.flatMap(diff => diff.changes.map(change => ({ ...change, repository: diff.repository })));
+    const dependencyChanges = this.dependencyChanges.flatMap(diff => diff.changes.map(change => ({ ...change, repository: diff.repository })));
+    // Newest release first; the unreleased tail leads when present
+    const releases = this.releases.map(segment => summarizeRelease(segment, 3)).reverse();
+
+    // Multi-repository decks get a per-repo breakdown and shared topics
+    const repositoryNames = this.getRepositoryNames();
+    const repositorySummaries = repositoryNames ? summarizeRepositories(commits, repositoryNames) : null;
+    const sharedTopics = repositoryNames ? correlateAcrossRepositories(commits) : [];
+
+    // Monorepo decks list the workspace packages that were touched
+    const packageSections = commits.some(c => c.packages?.length > 0) ? groupCommitsByPackage(commits) : [];
 
     const slideContent = `---
 theme: ${this.options.theme}
@@ -337,7 +830,7 @@ transition: slide-left
 ---
 
 # 📖 Development Story
-## ${new Date(firstCommit?.date).toLocaleDateString()} - ${new Date(lastCommit?.date).toLocaleDateString()}
+## ${this.period ? this.period.label : `${new Date(firstCommit?.date).toLocaleDateString()} - ${new Date(lastCommit?.date).toLocaleDateString()}`}
 
 ${commits.length === 1 ?
         'A focused development session' :
@@ -354,10 +847,28 @@ ${isFeatureDevelopment ?
           'We worked on enhancing the codebase'}
 
 **Scope**: ${totalFiles} files • **Scale**: +${totalInsertions}/-${totalDeletions} lines
+${Object.keys(roleCounts).length > 0 ? `\n**Files by role**: ${formatRoleSummary(roleCounts)}\n` : ''}${generatedChurn.files > 0 ? `\n**Generated churn** (not counted): ${formatGeneratedChurn(generatedChurn)}\n` : ''}${hasTrackerData(trackerSummary) ? `\n**Tracker**: ${formatTrackerSummary(trackerSummary)}\n` : ''}
+---
+
+${repositorySummaries ? `# 🗂️ Across Repositories
+
+${repositorySummaries.map(repo =>
+          `- **${repo.name}**: ${repo.commits} commits • ${repo.files} files • +${repo.insertions}/-${repo.deletions} lines`
+        ).join('\n')}
+${sharedTopics.length > 0 ? `
+**Shared topics**: ${sharedTopics.map(topic => `${topic.key} (${topic.repositories.join(', ')})`).join(', ')}` : ''}
 
 ---
 
-# 🚀 The Journey
+` : ''}${packageSections.length > 0 ? `# 📦 Packages Touched
+
+${packageSections.map(section =>
+          `- **${section.name}**: ${section.commits.length} ${section.commits.length === 1 ? 'commit' : 'commits'} • ${section.commits.reduce((sum, c) => sum + c.fileChanges.filter(fc => (fc.package || ROOT_PACKAGE_LABEL) === section.name).length, 0)} files`
+        ).join('\n')}
+
+---
+
+` : ''}# 🚀 The Journey
 
 ${commits.slice().reverse().map((commit, index) => {
             const isFirst = index === 0;
@@ -366,8 +877,13 @@ ${commits.slice().reverse().map((commit, index) => {
               isLast ? 'Finally, we' :
                 index === 1 ? 'Then we' : 'We continued by';
 
-            return `**${connector}** ${commit.message.toLowerCase()}
-${commit.stats?.files ? `*${commit.stats.files} files modified*` : ''}`;
+            return `**${connector}** ${repositoryNames ? `[${commit.repository}] ` : ''}${commit.conventional?.isConventional ? `${commit.conventional.description.toLowerCase()}${commit.conventional.scope ? ` *(${commit.conventional.scope})*` : ''}` : commit.message.toLowerCase()}
+${[
+              commit.stats?.files ? `*${commit.stats.files} files modified${commit.isPullRequest ? ` across ${commit.commits.length} commits` : ''}*` : '',
+              commit.coAuthors?.length ? `*with ${commit.coAuthors.map(person => person.name).join(', ')}*` : '',
+              getIssueRefs(commit).length ? `*${formatIssueRefs(getIssueRefs(commit))}*` : '',
+              commit.trackedPullRequest ? `*PR #${commit.trackedPullRequest.number}: ${commit.trackedPullRequest.reviewCount} ${commit.trackedPullRequest.reviewCount === 1 ? 'review' : 'reviews'}${commit.trackedPullRequest.labels.length > 0 ? ` [${commit.trackedPullRequest.labels.join(', ')}]` : ''}*` : ''
+            ].filter(Boolean).join(' • ')}`;
           }).join('\n\n')}
 
 ---
@@ -383,6 +899,95 @@ ${commit.body ? `- **Context**: ${commit.body.substring(0, 80)}${commit.body.len
 
 ---
 
+` : ''}${releases.length > 0 ? `# 🏷️ Releases
+
+${releases.slice(0, 4).map(release =>
+            `### ${repositoryNames ? `[${release.repository}] ` : ''}${release.released ? `Released in ${release.name}` : 'Unreleased'}${release.date ? ` • ${new Date(release.date).toLocaleDateString()}` : ''} (${release.commits.length} ${release.commits.length === 1 ? 'commit' : 'commits'})
+${[
+              ...release.highlights.map(commit => `- ${commit.message}`),
+              ...release.breakingChanges.map(commit => `- ⚠️ ${commit.conventional.breakingNotes.join('; ')}`)
+            ].join('\n')}
+
+*Contributors: ${release.contributors.join(', ') || 'none'}*`
+          ).join('\n\n')}
+
+---
+
+` : ''}${breakingChanges.length > 0 ? `# ⚠️ Breaking Changes
+
+${breakingChanges.map(commit =>
+            `### ${commit.conventional.scope ? `${commit.conventional.scope}: ` : ''}${commit.conventional.description}
+${commit.conventional.breakingNotes.map(note => `- ${note}`).join('\n')}
+- **Author**: ${commit.author} • \`${commit.hash.substring(0, 7)}\``
+          ).join('\n\n')}
+
+---
+
+` : ''}${apiChanges.length > 0 ? `# 🔌 API Changes
+
+${apiChanges.slice(0, 12).map(change =>
+            `- ${change.breaking ? '⚠️ ' : ''}${repositoryNames ? `[${change.repository}] ` : ''}${formatApiChange(change).replace(/^\[breaking\] /, '')}`
+          ).join('\n')}${apiChanges.length > 12 ? `\n- ...and ${apiChanges.length - 12} more` : ''}
+
+---
+
+` : ''}${dependencyChanges.length > 0 ? `# 🧩 Dependencies
+
+**${formatDependencySummary(summarizeDependencyChanges(dependencyChanges))}**
+
+${dependencyChanges.slice(0, 12).map(change =>
+            `- ${change.major ? '⚠️ ' : ''}${repositoryNames ? `[${change.repository}] ` : ''}${formatDependencyChange(change).replace(/^\[major\] /, '')}`
+          ).join('\n')}${dependencyChanges.length > 12 ? `\n- ...and ${dependencyChanges.length - 12} more` : ''}
+
+---
+
+` : ''}${coverage.length > 0 ? `# 🧪 Test Coverage
+
+${coverage.map(report =>
+            `### ${repositoryNames ? `[${report.repository}] ` : ''}Line coverage: ${formatCoverageChange(report.overall)}
+${report.files.slice(0, 8).map(entry => `- \`${entry.file}\`: ${formatCoverageChange(entry)}`).join('\n')}${report.lowCoverage.length > 0 ? `
+
+⚠️ **Under ${report.threshold}%**: ${report.lowCoverage.slice(0, 6).map(entry => `\`${entry.file}\` (${entry.after}%)`).join(', ')}` : ''}`
+          ).join('\n\n')}
+
+---
+
+` : ''}${hotspots.length > 0 ? `# 🔥 Hotspots
+
+${hotspots.map(report =>
+            `${repositoryNames ? `### [${report.repository}]\n\n` : ''}${report.hotspots.length > 0 ? formatHotspotTable(report, 6) : '*No file changed more than once*'}${report.coupling.length > 0 ? `
+
+**Change together**: ${report.coupling.slice(0, 3).map(formatCoupling).join(' • ')}` : ''}`
+          ).join('\n\n')}
+
+*Range plus ${this.hotspotLookback} days of history; ranked by changes weighted by churn relative to size*
+
+---
+
+` : ''}${ownership.length > 0 ? `# 🧠 Knowledge Distribution
+
+${ownership.map(report =>
+            `${repositoryNames ? `### [${report.repository}]\n\n` : ''}**Bus factor**: ${report.busFactor} • **Top owners**: ${report.owners.slice(0, 4).map(owner => `${owner.name} (${owner.share}%)`).join(', ')}
+
+| Area | Primary owner | Ownership | Bus factor | Changed by |
+|------|---------------|-----------|------------|------------|
+${report.directories.slice(0, 6).map(area =>
+              `| \`${area.path}\` | ${area.owner} | ${area.share}% | ${area.busFactor} | ${area.changedBy.join(', ') || '–'} |`
+            ).join('\n')}${report.unusualChanges.length > 0 ? `
+
+⚠️ **Outside the usual owner**: ${report.unusualChanges.slice(0, 3).map(formatUnusualChange).join(' • ')}` : ''}`
+          ).join('\n\n')}
+
+---
+
+` : ''}${moves.length > 0 ? `# 🚚 Moves & Renames
+
+${moves.slice(0, 12).map(change =>
+            `- ${change.status === 'R' ? 'Moved' : 'Copied'} \`${change.oldPath}\` → \`${change.newPath}\`${change.similarity !== null && change.similarity < 100 ? ` (${change.similarity}% similar)` : ''}`
+          ).join('\n')}${moves.length > 12 ? `\n- ...and ${moves.length - 12} more` : ''}
+
+---
+
 ` : ''}# 🎉 The Outcome
 
 ${commits.length === 1 ?
@@ -396,7 +1001,12 @@ ${Object.entries(workByCategory).map(([category, items]) =>
             `- **${items.length}** ${category} ${items.length === 1 ? 'update' : 'updates'}${items.length > 0 ? ` (${items.reduce((sum, item) => sum + (item.stats?.files || 0), 0)} files)` : ''
             }`
           ).join('\n')}
-
+${workDistribution.length > 1 ? `
+## Who Contributed
+${workDistribution.map(member =>
+            `- **${member.author}**${member.team ? ` (${member.team}${member.role ? `, ${member.role}` : ''})` : ''}: ${member.commits} ${member.commits === 1 ? 'commit' : 'commits'}${member.coAuthored ? ` (+${member.coAuthored} co-authored)` : ''}, ${member.impact} files`
+          ).join('\n')}
+` : ''}
 ---
 layout: center
 ---
@@ -443,8 +1053,19 @@ ${isFeatureDevelopment && !hadChallenges ?
           focus: this.options.focus,
           includeMetrics: this.options.includeMetrics,
           deepDive: this.options.deepDive,
+          diffAnalysisCount: this.options.diffAnalysisCount,
           repositoryName: this.options.repositoryName,
           timespan: this.options.timespan,
+          periodLabel: this.period?.label,
+          repositories: this.getRepositoryNames(),
+          packageSections: this.options.byPackage,
+          releases: this.releases,
+          apiChanges: this.apiChanges,
+          dependencyChanges: this.dependencyChanges,
+          coverage: this.showsCoverage() ? this.coverage : [],
+          hotspots: this.hotspots,
+          ownership: this.ownership,
+          analysisCache: this.cache,
           promptConfig: this.options.promptConfig,
           customPromptFunction: this.options.customPromptFunction
         };
@@ -466,15 +1087,23 @@ ${isFeatureDevelopment && !hadChallenges ?
 
     // Create detailed commit analysis
     const detailedCommitSummary = commits.map(c => {
-      const fileList = c.fileChanges.map(fc => `${fc.status}: ${fc.file} (${fc.type})`).join(', ');
+      const fileList = c.fileChanges.map(formatFileChange).join(', ');
       return `
 COMMIT: ${c.message}
-Author: ${c.author}
+${this.getRepositoryNames() ? `Repository: ${c.repository}\n` : ''}${c.packages?.length ? `Packages: ${c.packages.join(', ')}\n` : ''}Author: ${c.author}
 Date: ${new Date(c.date).toLocaleDateString()}
 Type: ${c.changeType}
-Files affected: ${c.stats.files} files, +${c.stats.insertions} lines, -${c.stats.deletions} lines
-Changes: ${fileList || 'No file details available'}
+${c.release ? `Release: ${c.release}\n` : ''}Files affected: ${c.stats.files} files, +${c.stats.insertions} lines, -${c.stats.deletions} lines
+${c.generatedChurn?.files > 0 ? `Generated churn (excluded): ${formatGeneratedChurn(c.generatedChurn)}\n` : ''}Changes: ${fileList || 'No file details available'}
+${formatMoveDetails(c)}
 ${c.body ? `Description: ${c.body}` : ''}
+${formatConventionalDetails(c)}
+${formatTrailerDetails(c)}
+${formatTrackerDetails(c)}
+${formatComplexityDetails(c)}
+${formatDependencyDetails(c)}
+${formatDomainDetails(c)}
+${formatPullRequestDetails(c)}
 `;
     }).join('\n---\n');
 
@@ -488,7 +1117,7 @@ ${c.body ? `Description: ${c.body}` : ''}
       getPromptByStyle(this.options.style) ||
       slideGenerationPrompt;
 
-    const prompt = promptFunction(
+    let prompt = promptFunction(
       this.options.theme,
       detailedCommitSummary,
       workByCategory,
@@ -496,10 +1125,67 @@ ${c.body ? `Description: ${c.body}` : ''}
       this.options.promptConfig
     );
 
+    if (this.getRepositoryNames()) {
+      prompt += `\n\n${formatCrossRepositoryContext(commits, this.getRepositoryNames())}\nInclude one section per repository and a cross-repository summary slide that connects shared topics.`;
+    }
+
+    const issueContext = formatIssueContext(commits);
+    if (issueContext) {
+      prompt += `\n\n${issueContext}\nRefer to work items by these keys where it helps.`;
+    }
+
+    const trackerContext = formatTrackerContext(commits);
+    if (trackerContext) {
+      prompt += `\n\n${trackerContext}\nQuote these ticket and review counts instead of estimating them from commit messages.`;
+    }
+
+    if (this.releases.length > 0) {
+      prompt += `\n\nRELEASES:\n${formatReleaseContext(this.releases)}\nDedicate one slide titled "🏷️ Releases" to these versions and any unreleased work.`;
+    }
+
+    const coverageContext = this.showsCoverage() ? formatCoverageContext(this.coverage) : '';
+    if (coverageContext) {
+      prompt += `\n\n${coverageContext}\nDedicate one slide titled "🧪 Test Coverage" to these numbers and call out the changed files with low coverage. Quote the percentages as given.`;
+    }
+
+    const dependencyContext = formatDependencyContext(this.dependencyChanges);
+    if (dependencyContext) {
+      prompt += `\n\n${dependencyContext}\nDedicate one slide titled "🧩 Dependencies" to these, leading with the [major] bumps.${this.options.style === 'technical' ? ' For each major upgrade, explain what changes upstream and the migration work or risk it brings.' : ''} Use the versions as given.`;
+    }
+
+    const apiContext = formatApiContext(this.apiChanges);
+    if (apiContext) {
+      prompt += `\n\n${apiContext}\nDedicate one slide titled "🔌 API Changes" to these, leading with the breaking ones. Only call an API change breaking when it is marked [breaking].`;
+    }
+
+    const hotspotContext = formatHotspotContext(this.hotspots);
+    if (hotspotContext) {
+      prompt += `\n\n${hotspotContext}\nDedicate one slide titled "🔥 Hotspots" to the top files and coupled pairs, and what they say about where the codebase is under strain.`;
+    }
+
+    const ownershipContext = formatOwnershipContext(this.ownership);
+    if (ownershipContext) {
+      prompt += `\n\n${ownershipContext}\nDedicate one slide titled "🧠 Knowledge Distribution" to the owners, the areas with a bus factor of 1 and the areas changed outside their usual owner.`;
+    }
+
+    const moves = collectMoves(commits);
+    if (moves.length > 0) {
+      prompt += `\n\nMOVED AND RENAMED FILES:\n${moves.slice(0, 30).map(change => `- ${change.oldPath} → ${change.newPath}`).join('\n')}\nMention notable module moves as restructuring work.`;
+    }
+
+    const breakingChanges = collectBreakingChanges(commits);
+    if (breakingChanges.length > 0) {
+      prompt += `\n\nBREAKING CHANGES:\n${breakingChanges.map(c => `- ${c.message}: ${c.conventional.breakingNotes.join('; ')}`).join('\n')}\nDedicate one slide titled "⚠️ Breaking Changes" to these, with what changed and who is affected.`;
+    }
+
+    if (this.period) {
+      prompt += `\n\nREPORTING PERIOD: ${this.period.label}\nUse this period on the title slide.`;
+    }
+
     console.log(chalk.gray(`🔍 Prompt length: ${prompt.length} characters`));
 
     try {
-      const result = await run(this.slideAgent, prompt);
+      const result = await runAgent(this.slideAgent, prompt);
       const aiOutput = result.finalOutput;
 
       console.log(chalk.gray(`🔍 AI generated ${aiOutput.length} characters`));
@@ -710,6 +1396,11 @@ transition: slide-left
     return cleaned;
   }
 
+  // Repository labels for multi-repo decks, or null for a single repository
+  getRepositoryNames() {
+    return this.repositories?.length > 1 ? this.repositories.map(repo => repo.name) : null;
+  }
+
   categorizeWork(commits) {
     const categories = {};
 
@@ -0,0 +1,158 @@
+import { parseMergeMessage } from './mergeHistory.js';
+
+// Issue-tracker keys: configurable patterns (JIRA-style PAY-1234, GitHub #123, ...)
+// with URL templates. Keys are read from subjects, bodies and merged branch
+// names, commits are grouped per issue, and slide text gets keys turned into links.
+
+// JIRA-style keys, except standards and encodings that look like them (UTF-8, SHA-256,
+// ISO-8601, HTTP-2, CVE-2024-...). Configure `issueTrackers` with your project keys
+// to match only those.
+const NOT_ISSUE_PREFIXES = ['UTF', 'UCS', 'SHA', 'MD', 'ISO', 'IEC', 'IEEE', 'RFC', 'HTTP', 'HTTPS', 'TLS', 'SSL', 'CVE', 'CWE', 'ECMA', 'ES', 'AES', 'RSA', 'PEP', 'GPT', 'COVID', 'WCAG'];
+export const JIRA_KEY_PATTERN = `\\b(?!(?:${NOT_ISSUE_PREFIXES.join('|')})-)[A-Z][A-Z0-9]+-\\d+\\b`;
+
+const DEFAULT_TRACKERS = [
+  { name: 'jira', pattern: JIRA_KEY_PATTERN },
+  { name: 'github', pattern: '(?<![\\w/])#(\\d+)\\b' }
+];
+
+// `issueTrackers` config block: [{ name?, pattern, url? }], where url may use
+// {key} for the whole match and {1}, {2}, ... for capture groups
+export function loadIssueTrackers(options = {}) {
+  const configured = options.issueTrackers;
+  const trackers = configured?.length > 0 ? configured : DEFAULT_TRACKERS;
+
+  return trackers.map((tracker, index) => {
+    if (!tracker?.pattern) {
+      throw new Error(`issueTrackers[${index}] needs a "pattern"`);
+    }
+    try {
+      return {
+        name: tracker.name || `tracker-${index + 1}`,
+        pattern: new RegExp(tracker.pattern instanceof RegExp ? tracker.pattern.source : tracker.pattern, 'g'),
+        url: tracker.url || null
+      };
+    } catch (error) {
+      throw new Error(`issueTrackers[${index}] has an invalid pattern: ${error.message}`);
+    }
+  });
+}
+
+export function issueUrl(tracker, match) {
+  if (!tracker.url) return null;
+  return tracker.url.replace(/\{(key|\d+)\}/g, (placeholder, name) =>
+    encodeURIComponent(name === 'key' ? match[0] : match[Number(name)] ?? ''));
+}
+
+export function findIssueKeys(text, trackers) {
+  const found = [];
+  for (const tracker of trackers) {
+    for (const match of text.matchAll(tracker.pattern)) {
+      if (!found.some(issue => issue.key === match[0])) {
+        found.push({ key: match[0], tracker: tracker.name, url: issueUrl(tracker, match) });
+      }
+    }
+  }
+  return found;
+}
+
+// Sets commit.issues from the subject, body and merged branch name (PR units include
+// their commits). A merge's own pull request number is not an issue reference.
+export function attachIssues(commits, trackers) {
+  for (const commit of commits) {
+    if (commit.isPullRequest) {
+      attachIssues(commit.commits, trackers);
+    }
+
+    const merge = commit.isMerge ? parseMergeMessage(commit.message, commit.body) : null;
+    const branch = commit.pullRequest?.branch || merge?.branch || '';
+    const ownNumber = commit.pullRequest?.number ?? merge?.number;
+    const text = [commit.message, commit.body, branch].filter(Boolean).join('\n');
+
+    const issues = findIssueKeys(text, trackers)
+      .filter(issue => ownNumber === null || ownNumber === undefined || issue.key !== `#${ownNumber}`);
+
+    for (const member of commit.isPullRequest ? commit.commits : []) {
+      for (const issue of member.issues) {
+        if (!issues.some(existing => existing.key === issue.key)) issues.push(issue);
+      }
+    }
+    commit.issues = issues;
+  }
+  return commits;
+}
+
+// Issues with the commits that mention them, most active first
+export function groupCommitsByIssue(commits) {
+  const groups = new Map();
+  for (const commit of commits) {
+    for (const issue of commit.issues || []) {
+      if (!groups.has(issue.key)) groups.set(issue.key, { ...issue, commits: [] });
+      groups.get(issue.key).commits.push(commit);
+    }
+  }
+  return [...groups.values()].sort((a, b) => b.commits.length - a.commits.length);
+}
+
+// Turns issue keys into markdown links. Frontmatter/YAML lines, fenced and inline
+// code, and text that is already a link are left alone.
+export function linkIssueKeys(markdown, trackers) {
+  if (!trackers.some(tracker => tracker.url)) {
+    return markdown;
+  }
+
+  let inFence = false;
+  return markdown.split('\n').map(line => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return line;
+    }
+    if (inFence || line.trim() === '---' || /^[\w-]+:\s/.test(line)) {
+      return line;
+    }
+    // Odd-numbered parts are existing links and inline code
+    return line.split(/(\[[^\]]*\]\([^)]*\)|`[^`]*`|<[^>]+>)/).map((part, index) =>
+      index % 2 === 1 ? part : linkPart(part, trackers)
+    ).join('');
+  }).join('\n');
+}
+
+function linkPart(text, trackers) {
+  let result = text;
+  for (const tracker of trackers.filter(candidate => candidate.url)) {
+    // Split again so keys linked by an earlier tracker are not linked twice
+    result = result.split(/(\[[^\]]*\]\([^)]*\))/).map((part, index) =>
+      index % 2 === 1 ? part : part.replace(tracker.pattern, (...args) => {
+        // Replacer args end with offset and input, plus a groups object for named groups
+        const match = args.slice(0, typeof args[args.length - 1] === 'object' ? -3 : -2);
+        return `[${match[0]}](${issueUrl(tracker, match)})`;
+      })
+    ).join('');
+  }
+  return result;
+}
+
+// "📎 Issues Touched" appendix slide, or '' when no commit references an issue.
+// Statuses come from --issues-file imports when present.
+export function buildIssueAppendix(commits, maxIssues = 15) {
+  const issues = groupCommitsByIssue(commits);
+  if (issues.length === 0) {
+    return '';
+  }
+
+  return `# 📎 Issues Touched
+
+${issues.slice(0, maxIssues).map(issue =>
+    `- **${issue.url ? `[${issue.key}](${issue.url})` : issue.key}**${issue.status ? ` _(${issue.status})_` : ''}: ${issue.commits.map(commit => `${commit.message} (\`${commit.hash.substring(0, 7)}\`)`).join('; ')}`
+  ).join('\n')}${issues.length > maxIssues ? `\n- ...and ${issues.length - maxIssues} more` : ''}
+`;
+}
+
+// Prompt section listing issues and their commits
+export function formatIssueContext(commits) {
+  const issues = groupCommitsByIssue(commits);
+  if (issues.length === 0) {
+    return '';
+  }
+  return `ISSUES TOUCHED:
+${issues.map(issue => `- ${issue.key}: ${issue.commits.map(commit => commit.message).join('; ')}`).join('\n')}`;
+}
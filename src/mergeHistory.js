@@ -0,0 +1,185 @@
+import { parseConventionalCommit } from './conventionalCommits.js';
+import { summarizeGeneratedChurn } from './noiseFilter.js';
+
+// Merge-aware history: collapses each merged branch into a single "pull request"
+// unit so the slide pipeline can plan around PRs instead of individual commits.
+// Units keep the enhanced-commit shape (message, author, date, stats,
+// fileChanges, changeType) so every existing consumer keeps working.
+
+const GITHUB_MERGE_PATTERN = /^Merge pull request #(\d+) from (\S+)/;
+const BRANCH_MERGE_PATTERN = /^Merge (?:remote-tracking )?branch '([^']+)'/;
+const GITLAB_REQUEST_PATTERN = /See merge request (\S+)!(\d+)/;
+
+export function parseMergeMessage(message = '', body = '') {
+  const bodyLines = body.split('\n').map(line => line.trim()).filter(Boolean);
+  const github = message.match(GITHUB_MERGE_PATTERN);
+
+  if (github) {
+    return {
+      number: Number(github[1]),
+      branch: github[2].replace(/^[^/]+\//, ''),
+      title: bodyLines[0] || github[2]
+    };
+  }
+
+  const branchMerge = message.match(BRANCH_MERGE_PATTERN);
+  const gitlab = body.match(GITLAB_REQUEST_PATTERN);
+  const bodyTitle = bodyLines.find(line => !GITLAB_REQUEST_PATTERN.test(line));
+
+  return {
+    number: gitlab ? Number(gitlab[2]) : null,
+    branch: branchMerge ? branchMerge[1] : null,
+    title: (gitlab && bodyTitle) || (branchMerge ? `Merge ${branchMerge[1]}` : message)
+  };
+}
+
+export async function groupPullRequests(git, commits, { categorize } = {}) {
+  const byHash = new Map(commits.map(commit => [commit.hash, commit]));
+  const claimed = new Map();
+  const units = new Map();
+
+  // Oldest merges first, so a commit belongs to the PR that first brought it in
+  const merges = commits.filter(commit => commit.isMerge).reverse();
+
+  for (const merge of merges) {
+    const [mainline, ...branchHeads] = merge.parents;
+    const output = await git.raw(['rev-list', ...branchHeads, `^${mainline}`]);
+    const members = output.split('\n')
+      .map(hash => hash.trim())
+      .filter(hash => byHash.has(hash) && !claimed.has(hash))
+      .map(hash => byHash.get(hash));
+
+    members.forEach(member => claimed.set(member.hash, merge.hash));
+    units.set(merge.hash, buildPullRequestUnit(merge, members, categorize));
+  }
+
+  // Keep the original newest-first order; PR members are folded into their unit
+  return commits
+    .filter(commit => !claimed.has(commit.hash))
+    .map(commit => units.get(commit.hash) || commit);
+}
+
+function buildPullRequestUnit(merge, members, categorize) {
+  const { number, branch, title } = parseMergeMessage(merge.message, merge.body);
+  const { fileChanges, authors, stats } = summarizeMembers(members);
+
+  return {
+    hash: merge.hash,
+    message: title,
+    author: authors[0] || merge.author,
+    authors: authors.length > 0 ? authors : [merge.author],
+    date: merge.date,
+    body: merge.body,
+    parents: merge.parents,
+    trailers: merge.trailers,
+    isMerge: true,
+    isPullRequest: true,
+    pullRequest: { number, branch, title, mergedBy: merge.author },
+    commits: members,
+    // Without members in range (e.g. the branch started before it) fall back to the merge diff
+    stats: members.length === 0 ? { ...merge.stats, commits: 0 } : stats,
+    generatedChurn: summarizeGeneratedChurn(members),
+    fileChanges,
+    conventional: mergeConventional(title, members),
+    changeType: categorizeUnit(title, fileChanges, members, categorize)
+  };
+}
+
+// The same unit with only `members` (a non-empty subset of its commits), e.g. the
+// ones left by --author/--team; title, type and merge details stay as they are
+export function narrowPullRequestUnit(unit, members) {
+  if (members.length === unit.commits.length) {
+    return unit;
+  }
+  const { fileChanges, authors, stats } = summarizeMembers(members);
+  return {
+    ...unit,
+    author: authors[0],
+    authors,
+    commits: members,
+    stats,
+    generatedChurn: summarizeGeneratedChurn(members),
+    fileChanges
+  };
+}
+
+// Files with line counts summed across the branch's commits, authors by commit count, totals
+function summarizeMembers(members) {
+  const fileChanges = [];
+  const changesByFile = new Map();
+  for (const member of members) {
+    for (const change of member.fileChanges) {
+      const existing = changesByFile.get(change.file);
+      if (existing) {
+        existing.insertions += change.insertions || 0;
+        existing.deletions += change.deletions || 0;
+      } else {
+        const copy = { ...change };
+        changesByFile.set(change.file, copy);
+        fileChanges.push(copy);
+      }
+    }
+  }
+
+  const authorCounts = members.reduce((counts, member) => {
+    counts[member.author] = (counts[member.author] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    fileChanges,
+    authors: Object.keys(authorCounts).sort((a, b) => authorCounts[b] - authorCounts[a]),
+    stats: {
+      files: changesByFile.size,
+      insertions: members.reduce((sum, member) => sum + (member.stats?.insertions || 0), 0),
+      deletions: members.reduce((sum, member) => sum + (member.stats?.deletions || 0), 0),
+      commits: members.length
+    }
+  };
+}
+
+// Parsed from the PR title; breaking if the title or any included commit is breaking
+function mergeConventional(title, members) {
+  const conventional = parseConventionalCommit(title);
+  const memberNotes = members.flatMap(member => member.conventional?.breakingNotes || []);
+  const breakingNotes = [...new Set([...conventional.breakingNotes, ...memberNotes])];
+
+  return {
+    ...conventional,
+    breaking: conventional.breaking || members.some(member => member.conventional?.breaking),
+    breakingNotes
+  };
+}
+
+// The PR title wins when it is conventional; otherwise use the dominant member type
+function categorizeUnit(title, fileChanges, members, categorize) {
+  const fromTitle = categorize ? categorize(title, []) : 'general';
+  if (fromTitle !== 'general') {
+    return fromTitle;
+  }
+
+  const counts = members.reduce((acc, member) => {
+    acc[member.changeType] = (acc[member.changeType] || 0) + 1;
+    return acc;
+  }, {});
+  const [dominant] = Object.entries(counts)
+    .filter(([type]) => type !== 'general')
+    .sort((a, b) => b[1] - a[1]);
+
+  return dominant ? dominant[0] : (categorize ? categorize(title, fileChanges) : 'general');
+}
+
+// Extra prompt lines describing a PR unit's constituent commits
+export function formatPullRequestDetails(unit) {
+  if (!unit.isPullRequest) {
+    return '';
+  }
+
+  const { number, branch } = unit.pullRequest;
+  const heading = `Pull request${number ? ` #${number}` : ''}${branch ? ` from ${branch}` : ''}, ${unit.commits.length} commits by ${unit.authors.join(', ')}`;
+  const commitLines = unit.commits
+    .map(commit => `  - ${commit.message} (${commit.author}, +${commit.stats?.insertions || 0}/-${commit.stats?.deletions || 0})`)
+    .join('\n');
+
+  return `${heading}\nIncluded commits:\n${commitLines}`;
+}
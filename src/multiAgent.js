@@ -1,9 +1,27 @@
-import { Agent, run } from '@openai/agents';
+import { Agent } from '@openai/agents';
 import { z } from 'zod';
+import crypto from 'crypto';
 import chalk from 'chalk';
 import { gitAnalysisTools } from './gitAnalysisTools.js';
 import { getPromptByStyle } from '../prompts/index.js';
 import { slideGenerationPrompt } from '../prompts/slideGeneration.js';
+import { formatPullRequestDetails } from './mergeHistory.js';
+import { correlateAcrossRepositories, formatCrossRepositoryContext } from './repositories.js';
+import { groupCommitsByPackage } from './pathScope.js';
+import { collectBreakingChanges, groupCommitsByScope, formatConventionalDetails } from './conventionalCommits.js';
+import { formatFileChange, formatMoveDetails } from './fileChanges.js';
+import { formatGeneratedChurn } from './noiseFilter.js';
+import { summarizeRelease, formatReleaseContext } from './releases.js';
+import { formatTrailerDetails } from './trailers.js';
+import { formatTrackerDetails, formatTrackerContext } from './trackerImport.js';
+import { formatApiContext } from './apiSurface.js';
+import { formatDomainDetails, formatDomainContext } from './impactRules.js';
+import { formatCoverageContext } from './coverage.js';
+import { formatHotspotContext } from './hotspots.js';
+import { formatOwnershipContext } from './ownership.js';
+import { formatComplexityDetails } from './complexity.js';
+import { formatDependencyDetails, formatDependencyContext } from './dependencies.js';
+import { runAgent } from './redaction.js';
 
 // =================================
 // STRUCTURED OUTPUT SCHEMAS
@@ -132,6 +150,148 @@ Return validation results with specific feedback for any issues found.`,
   })
 });
 
+// =================================
+// DIFF ANALYSIS STAGE
+// =================================
+
+// Commits that get tool-based diff analysis: a few by default, more with --deep-dive,
+// or exactly --deep-dive <count> (0 turns the stage off)
+const DEFAULT_ANALYZED_COMMITS = 3;
+const DEEP_DIVE_ANALYZED_COMMITS = 10;
+// Pull request units are analyzed through at most this many of their commits
+const MAX_ANALYZED_MEMBERS = 5;
+
+const DiffInsightSchema = z.object({
+  summary: z.string(),
+  impact: z.enum(['low', 'medium', 'high']),
+  impactAreas: z.array(z.string()),
+  patterns: z.array(z.string()),
+  risk: z.enum(['low', 'medium', 'high']),
+  riskFactors: z.array(z.string())
+});
+
+// Agent that reads the actual diffs through the git analysis tools
+const diffAnalysisAgent = new Agent({
+  name: 'Diff Analyst',
+  instructions: `You are a code reviewer who explains what a change really does by examining its diff.
+
+TASK: Produce one insight record for the commit or pull request you are given.
+
+PROCESS:
+1. Call analyze_git_diff for every commit hash listed
+2. Call detect_architectural_patterns with the file changes and commit message
+3. Call assess_business_impact and analyze_complexity_changes with the file changes
+4. Call find_hotspots with the changed file paths; editing a hotspot, or a file without its usual coupled partner, raises the risk
+5. Call analyze_ownership with the changed file paths; a change by someone other than the usual owner, or to a file with a bus factor of 1, raises the risk
+6. Combine the tool results with the commit message into one record
+
+RECORD RULES:
+- summary: 1-2 sentences on what the code change does, based on the diff rather than the message alone
+- impact: low, medium or high for users and the business
+- impactAreas: systems or product areas affected (e.g. "payments", "authentication")
+- patterns: architectural or refactoring patterns observed; empty when there are none
+- risk: low, medium or high chance that this change causes problems
+- riskFactors: concrete reasons for the risk level (missing tests, breaking changes, large surface, ...)`,
+  tools: gitAnalysisTools,
+  outputType: DiffInsightSchema
+});
+
+// `diffAnalysisCount` (--deep-dive <count>) wins; a numeric `deepDive` from a config file counts too
+function resolveAnalysisLimit({ deepDive, diffAnalysisCount }) {
+  if (diffAnalysisCount !== undefined) return diffAnalysisCount;
+  if (typeof deepDive === 'number') return deepDive;
+  return deepDive ? DEEP_DIVE_ANALYZED_COMMITS : DEFAULT_ANALYZED_COMMITS;
+}
+
+// Largest changes first; breaking changes always rank ahead of the rest
+function rankForAnalysis(commits) {
+  const size = commit => (commit.stats?.insertions || 0) + (commit.stats?.deletions || 0);
+  const breaking = commit => (commit.conventional?.breaking ? 1 : 0);
+  return commits
+    .filter(commit => commit.fileChanges?.length > 0)
+    .sort((a, b) => breaking(b) - breaking(a) || size(b) - size(a));
+}
+
+// Runs the diff analysis agent over the highest-ranked commits and returns insight
+// records keyed by commit (or pull request unit) hash. Failures only cost that record.
+export async function analyzeCommitDiffs(commits, options = {}) {
+  const insights = new Map();
+  const limit = resolveAnalysisLimit(options);
+  const selected = rankForAnalysis(commits).slice(0, limit);
+  if (selected.length === 0) {
+    return insights;
+  }
+
+  console.log(chalk.cyan(`🔬 Analyzing diffs of ${selected.length} of ${commits.length} ${commits.some(c => c.isPullRequest) ? 'units' : 'commits'}${options.deepDive ? ' (deep dive)' : ''}...`));
+
+  for (const commit of selected) {
+    // The prompt carries the scoped file list and, for a pull request unit, the members
+    // left after --author/--team, so those belong in the key along with the cache variant
+    const scope = crypto.createHash('sha1')
+      .update(JSON.stringify({
+        variant: options.analysisCache?.variant,
+        members: (commit.commits || []).map(member => member.hash),
+        files: (commit.fileChanges || []).map(change => change.file)
+      }))
+      .digest('hex')
+      .slice(0, 12);
+    const key = `diff_insight:${scope}`;
+    const cached = await options.analysisCache?.readAnalysis(commit.hash, key);
+    if (cached) {
+      insights.set(commit.hash, cached);
+      continue;
+    }
+
+    const hashes = commit.isPullRequest && commit.commits.length > 0 ?
+      commit.commits.slice(0, MAX_ANALYZED_MEMBERS).map(member => member.hash) :
+      [commit.hash];
+
+    const prompt = `Analyze this ${commit.isPullRequest ? 'pull request' : 'commit'}:
+
+${commit.isPullRequest ? `PULL REQUEST: #${commit.pullRequest.number} ${commit.message}\n` : ''}COMMIT HASHES: ${hashes.join(', ')}
+MESSAGE: ${commit.message}
+${commit.body ? `DESCRIPTION: ${commit.body}\n` : ''}${formatConventionalDetails(commit)}
+FILE CHANGES (JSON):
+${JSON.stringify(commit.fileChanges.slice(0, 100).map(change => ({
+    file: change.file,
+    status: change.status,
+    oldPath: change.oldPath,
+    similarity: change.similarity,
+    insertions: change.insertions,
+    deletions: change.deletions
+  })))}`;
+
+    try {
+      const result = await runAgent(diffAnalysisAgent, prompt);
+      const insight = { hash: commit.hash, message: commit.message, ...result.finalOutput };
+      insights.set(commit.hash, insight);
+      await options.analysisCache?.writeAnalysis(commit.hash, key, insight);
+      console.log(chalk.gray(`   ${commit.hash.substring(0, 7)} ${commit.message}: impact ${insight.impact}, risk ${insight.risk}`));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Diff analysis failed for ${commit.hash.substring(0, 7)}: ${error.message}`));
+    }
+  }
+
+  return insights;
+}
+
+// Insight records for one slide: its own commits, or the highest-impact ones for
+// slides without commits (title, conclusion)
+function selectInsights(insights, commits, max = 5) {
+  if (commits.length > 0) {
+    return commits.map(commit => insights.get(commit.hash)).filter(Boolean);
+  }
+  const order = { high: 0, medium: 1, low: 2 };
+  return [...insights.values()].sort((a, b) => order[a.impact] - order[b.impact]).slice(0, max);
+}
+
+function formatDiffInsights(insights) {
+  return insights.map(insight =>
+    `- ${insight.hash.substring(0, 7)} ${insight.message}: impact ${insight.impact}${insight.impactAreas.length > 0 ? ` (${insight.impactAreas.join(', ')})` : ''}, risk ${insight.risk}${insight.riskFactors.length > 0 ? ` (${insight.riskFactors.join('; ')})` : ''}
+  ${insight.summary}${insight.patterns.length > 0 ? `\n  Patterns: ${insight.patterns.join(', ')}` : ''}`
+  ).join('\n');
+}
+
 // =================================
 // PER-SLIDE PIPELINE FUNCTIONS
 // =================================
@@ -153,15 +313,23 @@ const generateSlideWithPipeline = async (slideData, narrativeContext) => {
 
       // Create detailed commit summary for this slide's commits
       const detailedCommitSummary = slideData.commits.map(c => {
-        const fileList = c.fileChanges?.map(fc => `${fc.status}: ${fc.file} (${fc.type})`).join(', ') || '';
+        const fileList = c.fileChanges?.map(formatFileChange).join(', ') || '';
         return `
 COMMIT: ${c.message}
-Author: ${c.author}
+${slideData.promptOptions?.repositories ? `Repository: ${c.repository}\n` : ''}${c.packages?.length ? `Packages: ${c.packages.join(', ')}\n` : ''}Author: ${c.author}
 Date: ${new Date(c.date).toLocaleDateString()}
 Type: ${c.changeType}
-Files affected: ${c.stats?.files || 0} files, +${c.stats?.insertions || 0} lines, -${c.stats?.deletions || 0} lines
-Changes: ${fileList || 'No file details available'}
+${c.release ? `Release: ${c.release}\n` : ''}Files affected: ${c.stats?.files || 0} files, +${c.stats?.insertions || 0} lines, -${c.stats?.deletions || 0} lines
+${c.generatedChurn?.files > 0 ? `Generated churn (excluded): ${formatGeneratedChurn(c.generatedChurn)}\n` : ''}Changes: ${fileList || 'No file details available'}
+${formatMoveDetails(c)}
 ${c.body ? `Description: ${c.body}` : ''}
+${formatConventionalDetails(c)}
+${formatTrailerDetails(c)}
+${formatTrackerDetails(c)}
+${formatComplexityDetails(c)}
+${formatDependencyDetails(c)}
+${formatDomainDetails(c)}
+${formatPullRequestDetails(c)}
 `;
       }).join('\n---\n');
 
@@ -183,7 +351,13 @@ NARRATIVE CONTEXT:
 - Overall Theme: ${narrativeContext.overallTheme}
 - Slide Type: ${narrativeContext.slideType} (${narrativeContext.isFirst ? 'Opening slide' : narrativeContext.isLast ? 'Closing slide' : 'Content slide'})
 - Slide Focus: ${narrativeContext.slideFocus}
-
+${narrativeContext.sectionNotes ? `
+SECTION CONTEXT:
+${narrativeContext.sectionNotes}
+` : ''}${narrativeContext.diffInsights?.length > 0 ? `
+DIFF ANALYSIS (from the actual code changes; prefer it over commit messages when they disagree):
+${formatDiffInsights(narrativeContext.diffInsights)}
+` : ''}
 STORY CONTINUITY:
 ${narrativeContext.previousSlides.length > 0 ?
           `Previous slides covered:\n${narrativeContext.previousSlides.map((s, i) => `Slide ${i + 1}: ${s.title} - ${s.content.substring(0, 100)}...`).join('\n')}` :
@@ -192,11 +366,11 @@ ${narrativeContext.previousSlides.length > 0 ?
 SPECIFIC FOCUS FOR THIS SLIDE:
 Generate content for this ONE slide that:
 1. Maintains story continuity with previous slides
-2. Focuses on the commits assigned to this slide: ${slideData.commits.length} commits
+2. Focuses on the ${slideData.commits.some(c => c.isPullRequest) ? 'pull requests' : 'commits'} assigned to this slide: ${slideData.commits.length} ${slideData.commits.some(c => c.isPullRequest) ? 'units (treat each pull request as one story beat)' : 'commits'}
 3. Follows the presentation style: ${slideData.promptOptions?.style || 'default'}
 4. Advances the overall narrative toward: ${narrativeContext.isLast ? 'conclusion and next steps' : 'the next phase of development'}`;
 
-      const contentResult = await run(slideContentAgent, contentPrompt);
+      const contentResult = await runAgent(slideContentAgent, contentPrompt);
 
       // Step 2: Format with validation tools (up to 3 retries)
       console.log(chalk.cyan(`🔧 Formatting slide ${narrativeContext.slideIndex + 1}...`));
@@ -207,7 +381,7 @@ ${JSON.stringify(contentResult.finalOutput, null, 2)}
 
 Carefully examine the content and fix any YAML-breaking patterns, HTML structure issues, or formatting problems. Ensure it will render perfectly in Slidev.`;
 
-      const formattedResult = await run(slideFormatterAgent, formatPrompt);
+      const formattedResult = await runAgent(slideFormatterAgent, formatPrompt);
 
       // Step 3: Final validation
       console.log(chalk.cyan(`✅ Validating slide ${narrativeContext.slideIndex + 1}...`));
@@ -218,7 +392,7 @@ ${JSON.stringify(formattedResult.finalOutput, null, 2)}
 
 Check for YAML anchors, HTML structure issues, and other rendering problems.`;
 
-      const validationResult = await run(slideValidatorAgent, validationPrompt);
+      const validationResult = await runAgent(slideValidatorAgent, validationPrompt);
 
       if (validationResult.finalOutput.isValid) {
         console.log(chalk.green(`✨ Slide ${narrativeContext.slideIndex + 1} completed successfully`));
@@ -253,11 +427,19 @@ export async function generateSlidesWithMultiAgent(commits, options = {}) {
   console.log(chalk.blue('🎬 Starting per-slide pipeline with narrative continuity...'));
 
   try {
-    // Plan the overall narrative structure
-    const totalSlides = Math.max(5, Math.min(8, Math.ceil(commits.length / 3)));
-    const overallTheme = `Development Journey: ${commits.length} commits analyzed`;
-
-    console.log(chalk.cyan(`📋 Planning ${totalSlides} slides with narrative continuity...`));
+    // Plan the overall narrative structure. Pull request units (--group-prs) are
+    // already coherent story beats, so plan roughly one content slide per PR.
+    const groupedByPr = commits.some(c => c.isPullRequest);
+    const totalSlides = groupedByPr ?
+      Math.max(5, Math.min(10, commits.length + 2)) :
+      Math.max(5, Math.min(8, Math.ceil(commits.length / 3)));
+    // Reporting period (--week/--sprint/...) replaces the generic journey title
+    const repositoryScope = options.repositories ? ` across ${options.repositories.length} repositories` : '';
+    const overallTheme = options.periodLabel ?
+      `${options.periodLabel}: ${commits.length} commits analyzed${repositoryScope}` :
+      `Development Journey: ${commits.length} commits analyzed${repositoryScope}`;
+
+    console.log(chalk.cyan(`📋 Planning ${options.repositories ? `${options.repositories.length} repository sections` : options.packageSections ? 'package sections' : `${totalSlides} slides`} with narrative continuity${groupedByPr ? ' around pull requests' : ''}...`));
 
     // Divide commits into slide groups
     const slideGroups = [];
@@ -270,24 +452,181 @@ export async function generateSlidesWithMultiAgent(commits, options = {}) {
       focus: 'introduction'
     });
 
-    // Content slides
-    for (let i = 0; i < totalSlides - 2; i++) {
-      const startIdx = i * commitsPerSlide;
-      const endIdx = Math.min((i + 1) * commitsPerSlide, commits.length);
+    if (options.repositories) {
+      // Multi-repository deck: one section per repository, then a cross-repo summary
+      for (const name of options.repositories) {
+        const repoCommits = commits.filter(c => c.repository === name);
+        const sectionSlides = Math.min(3, Math.ceil(repoCommits.length / 12));
+        const perSection = Math.ceil(repoCommits.length / Math.max(1, sectionSlides));
+
+        for (let i = 0; i < sectionSlides; i++) {
+          slideGroups.push({
+            type: 'repository',
+            commits: repoCommits.slice(i * perSection, (i + 1) * perSection),
+            focus: `${name} repository${sectionSlides > 1 ? ` (part ${i + 1} of ${sectionSlides})` : ''}`,
+            notes: `This slide belongs to the section for the "${name}" repository. Title it after ${name} and only describe its commits.`
+          });
+        }
+      }
+
+      const correlatedCommits = [...new Set(correlateAcrossRepositories(commits).flatMap(topic => topic.commits))];
+      slideGroups.push({
+        type: 'cross_repo_summary',
+        commits: correlatedCommits,
+        focus: 'cross_repository_summary',
+        notes: `${formatCrossRepositoryContext(commits, options.repositories)}
+
+Summarize the week across all repositories and connect work on the same topic in different repositories.`
+      });
+    } else if (options.packageSections && commits.some(c => c.packages?.length > 0)) {
+      // Monorepo deck (--by-package): one section per touched workspace package
+      for (const section of groupCommitsByPackage(commits)) {
+        slideGroups.push({
+          type: 'package',
+          commits: section.commits,
+          focus: `${section.name} package`,
+          notes: `This slide is the section for the "${section.name}" package. Title it after the package and only describe changes to it.`
+        });
+      }
+    } else if (hasScopeSections(commits)) {
+      // Conventional Commit scopes are natural chapters: one slide per scope,
+      // with smaller scopes and unscoped commits folded into a final slide
+      const scopes = groupCommitsByScope(commits);
+      const maxScopeSlides = totalSlides - 3;
+      const mainScopes = scopes.slice(0, maxScopeSlides);
+      const mainHashes = new Set(mainScopes.flatMap(section => section.commits.map(c => c.hash)));
+
+      for (const section of mainScopes) {
+        slideGroups.push({
+          type: 'scope',
+          commits: section.commits,
+          focus: `${section.scope} changes`,
+          notes: `This slide covers work in the "${section.scope}" scope.`
+        });
+      }
+
+      const remaining = commits.filter(c => !mainHashes.has(c.hash));
+      if (remaining.length > 0) {
+        slideGroups.push({
+          type: 'content',
+          commits: remaining,
+          focus: 'other_changes'
+        });
+      }
+    } else {
+      // Content slides
+      for (let i = 0; i < totalSlides - 2; i++) {
+        const startIdx = i * commitsPerSlide;
+        const endIdx = Math.min((i + 1) * commitsPerSlide, commits.length);
+        slideGroups.push({
+          type: 'content',
+          commits: commits.slice(startIdx, endIdx),
+          focus: i === 0 ? 'early_development' : i === totalSlides - 3 ? 'recent_changes' : 'development_progress'
+        });
+      }
+    }
+
+    // Tagged releases in range get one slide with a section per version
+    if (options.releases?.length > 0) {
+      slideGroups.push({
+        type: 'releases',
+        commits: options.releases.flatMap(segment => summarizeRelease(segment, 3).highlights),
+        focus: 'releases',
+        notes: `Title this slide "🏷️ Releases". Give each release below its own short section with highlights, breaking changes and contributors; list unreleased work last:
+${formatReleaseContext(options.releases)}`
+      });
+    }
+
+    // Breaking changes always get their own slide before the conclusion
+    const breakingChanges = collectBreakingChanges(commits);
+    if (breakingChanges.length > 0) {
+      slideGroups.push({
+        type: 'breaking_changes',
+        commits: breakingChanges,
+        focus: 'breaking_changes',
+        notes: `Title this slide "⚠️ Breaking Changes". List every breaking change below, what consumers must do, and who made it:
+${breakingChanges.map(c => `- ${c.message}: ${c.conventional.breakingNotes.join('; ')}`).join('\n')}`
+      });
+    }
+
+    // Exported API, route and OpenAPI changes across the range, from the API surface diff
+    const apiContext = formatApiContext(options.apiChanges || []);
+    if (apiContext) {
       slideGroups.push({
-        type: 'content',
-        commits: commits.slice(startIdx, endIdx),
-        focus: i === 0 ? 'early_development' : i === totalSlides - 3 ? 'recent_changes' : 'development_progress'
+        type: 'api_changes',
+        commits: [],
+        focus: 'api_changes',
+        notes: `Title this slide "🔌 API Changes". Lead with the breaking changes and say who is affected; only call a change breaking when it is marked [breaking]:
+${apiContext}`
       });
     }
 
-    // Conclusion slide
+    // Manifest and lockfile changes between the range ends; technical decks go into migration risk
+    const dependencyContext = formatDependencyContext(options.dependencyChanges || []);
+    if (dependencyContext) {
+      slideGroups.push({
+        type: 'dependencies',
+        commits: [],
+        focus: 'dependencies',
+        notes: `Title this slide "🧩 Dependencies". Lead with the [major] bumps, then added and removed packages; use the versions as given${options.style === 'technical' ? ', and explain the migration work or risk each major upgrade brings' : ''}:
+${dependencyContext}`
+      });
+    }
+
+    // Coverage deltas (--include-metrics, technical style) get their own slide
+    const coverageContext = formatCoverageContext(options.coverage || []);
+    if (coverageContext) {
+      slideGroups.push({
+        type: 'coverage',
+        commits: [],
+        focus: 'test_coverage',
+        notes: `Title this slide "🧪 Test Coverage". Report the overall change, the biggest per-file changes and the changed files with low coverage, quoting the percentages as given:
+${coverageContext}`
+      });
+    }
+
+    // Hotspots and change coupling (technical and retrospective styles)
+    const hotspotContext = formatHotspotContext(options.hotspots || []);
+    if (hotspotContext) {
+      slideGroups.push({
+        type: 'hotspots',
+        commits: [],
+        focus: 'hotspots',
+        notes: `Title this slide "🔥 Hotspots". Show the top files as a table and name the coupled pairs; explain where repeated churn points to code under strain, quoting the numbers as given:
+${hotspotContext}`
+      });
+    }
+
+    // Blame-based ownership and bus factor (technical and retrospective styles)
+    const ownershipContext = formatOwnershipContext(options.ownership || []);
+    if (ownershipContext) {
+      slideGroups.push({
+        type: 'ownership',
+        commits: [],
+        focus: 'knowledge_distribution',
+        notes: `Title this slide "🧠 Knowledge Distribution". Show who owns the touched areas, call out bus factors of 1 and the areas changed by someone other than their usual owner as knowledge-sharing opportunities:
+${ownershipContext}`
+      });
+    }
+
+    // Conclusion slide; imported ticket and review counts (--issues-file/--prs-file) replace guesses,
+    // and executive decks sum up the work per business domain (--impact-rules, CODEOWNERS)
+    const trackerContext = formatTrackerContext(commits);
+    const domainContext = options.style === 'executive' ? formatDomainContext(commits) : '';
+    const conclusionNotes = [
+      trackerContext && `${trackerContext}\nQuote these ticket and review counts instead of estimating them from commit messages.`,
+      domainContext && `${domainContext}\nSummarize the work by business domain, e.g. "Checkout: 6 changes, high criticality".`
+    ].filter(Boolean);
     slideGroups.push({
       type: 'conclusion',
       commits: [],
-      focus: 'summary'
+      focus: 'summary',
+      notes: conclusionNotes.length > 0 ? conclusionNotes.join('\n\n') : null
     });
 
+    // Tool-based diff analysis feeds impact, pattern and risk records into every slide
+    const insights = await analyzeCommitDiffs(commits, options);
+
     // Generate slides with narrative context
     const slides = [];
     const previousSlides = [];
@@ -302,6 +641,8 @@ export async function generateSlidesWithMultiAgent(commits, options = {}) {
         previousSlides: [...previousSlides],
         slideType: slideGroup.type,
         slideFocus: slideGroup.focus,
+        sectionNotes: slideGroup.notes,
+        diffInsights: selectInsights(insights, slideGroup.commits),
         isFirst: i === 0,
         isLast: i === slideGroups.length - 1
       };
@@ -342,7 +683,7 @@ export async function generateSlidesWithMultiAgent(commits, options = {}) {
           subtitle: null,
           layout: 'default',
           content: slideGroup.type === 'title' ?
-            `# Development Journey\n\n🚀 **${commits.length} commits** analyzed\n\n📊 Generated with AI analysis` :
+            `# ${options.periodLabel || 'Development Journey'}\n\n🚀 **${commits.length} commits** analyzed\n\n📊 Generated with AI analysis` :
             slideGroup.type === 'conclusion' ?
               `# Summary\n\n✅ **Development completed**\n\n📈 **Progress made across multiple areas**` :
               `# Development Update\n\n📝 **Commits processed**: ${slideGroup.commits.length}\n\n🔧 **Work completed** in this phase`,
@@ -353,7 +694,9 @@ export async function generateSlidesWithMultiAgent(commits, options = {}) {
     }
 
     const slideDeck = {
-      title: `Development Review: ${commits.length} Commits`,
+      title: options.periodLabel ?
+        `Development Review: ${options.periodLabel}` :
+        `Development Review: ${commits.length} Commits`,
       theme: options.theme || 'default',
       slides: slides
     };
@@ -373,6 +716,14 @@ export async function generateSlidesWithMultiAgent(commits, options = {}) {
   }
 }
 
+// Scope-based planning kicks in when most commits carry a scope and there are
+// at least two of them; otherwise chronological slicing reads better
+function hasScopeSections(commits) {
+  const scoped = commits.filter(c => c.conventional?.scope);
+  const scopes = new Set(scoped.map(c => c.conventional.scope));
+  return scopes.size >= 2 && scoped.length >= commits.length / 2;
+}
+
 // Helper function to convert structured slide deck to Slidev markdown
 function convertSlideDeckToSlidev(slideDeck) {
   // Sanitize function to remove only problematic YAML anchors while preserving Slidev features
@@ -0,0 +1,185 @@
+import { spawn } from 'child_process';
+
+// Generated, vendored and lockfile noise: a regenerated package-lock.json or a
+// committed dist/ bundle would otherwise dominate line counts and the "significant
+// additions" heuristics. Matching files are moved out of commit.fileChanges and
+// stats into commit.generatedChurn, so they are still reported but never analyzed.
+
+const LOCKFILES = new Set([
+  'package-lock.json',
+  'npm-shrinkwrap.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  'bun.lockb',
+  'deno.lock',
+  'composer.lock',
+  'Gemfile.lock',
+  'Cargo.lock',
+  'poetry.lock',
+  'Pipfile.lock',
+  'uv.lock',
+  'go.sum',
+  'mix.lock',
+  'pubspec.lock',
+  'Podfile.lock',
+  'packages.lock.json',
+  'flake.lock'
+]);
+
+const MINIFIED_PATTERN = /[.-]min\.(js|mjs|css)$|\.(js|css)\.map$|\.bundle\.js$/;
+const GENERATED_PATTERN = /(^|\/)(dist|__generated__)\/|\.generated\.\w+$|\.pb\.go$|_pb2\.py$/;
+const VENDORED_PATTERN = /(^|\/)(vendor|third_party|node_modules|bower_components)\//;
+
+export const NOISE_LABELS = {
+  lockfile: 'lockfiles',
+  generated: 'generated files',
+  vendored: 'vendored code',
+  minified: 'minified bundles',
+  binary: 'binary files',
+  ignored: 'ignored paths'
+};
+
+// User ignore list from --ignore / config `ignore` (globs, matched against repo-relative paths)
+export function createNoiseRules(options = {}) {
+  return {
+    ignore: toList(options.ignore).map(globToRegExp)
+  };
+}
+
+// linguist-generated / linguist-vendored from .gitattributes, resolved by git itself
+// (nested attribute files and macros included) in one check-attr call
+export async function readLinguistAttributes(repoPath, paths) {
+  const attributes = new Map();
+  if (paths.length === 0) {
+    return attributes;
+  }
+
+  const child = spawn('git', ['check-attr', '-z', '--stdin', 'linguist-generated', 'linguist-vendored'], {
+    cwd: repoPath,
+    stdio: ['pipe', 'pipe', 'ignore']
+  });
+  child.stdin.end(paths.map(file => `${file}\0`).join(''));
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  const code = await new Promise(resolve => {
+    child.on('error', () => resolve(1));
+    child.on('close', resolve);
+  });
+  if (code !== 0) {
+    return attributes;
+  }
+
+  // -z output is path\0attribute\0value\0 triples
+  const fields = output.split('\0');
+  for (let i = 0; i + 2 < fields.length; i += 3) {
+    const [file, attribute, value] = fields.slice(i, i + 3);
+    if (value === 'set' || value === 'true') {
+      attributes.set(file, attribute === 'linguist-vendored' ? 'vendored' : 'generated');
+    } else if ((value === 'unset' || value === 'false') && !attributes.has(file)) {
+      // An explicit -linguist-generated overrides the built-in heuristics
+      attributes.set(file, null);
+    }
+  }
+
+  return attributes;
+}
+
+// Noise reason for one file change, or null when it is real work
+export function classifyNoise(change, rules, attributes = new Map()) {
+  const file = change.file;
+
+  if (rules.ignore.some(pattern => pattern.test(file))) return 'ignored';
+  if (attributes.has(file)) return attributes.get(file);
+  if (LOCKFILES.has(file.split('/').pop())) return 'lockfile';
+  if (MINIFIED_PATTERN.test(file)) return 'minified';
+  if (VENDORED_PATTERN.test(file)) return 'vendored';
+  if (GENERATED_PATTERN.test(file)) return 'generated';
+  if (change.binary) return 'binary';
+  return null;
+}
+
+// Moves noise out of each commit's fileChanges/stats into commit.generatedChurn.
+// Runs on individual commits, before pull request grouping sums them up.
+export async function separateNoise(commits, repoPath, rules, { categorize } = {}) {
+  const paths = [...new Set(commits.flatMap(commit => commit.fileChanges.map(change => change.file)))];
+  const attributes = await readLinguistAttributes(repoPath, paths);
+
+  for (const commit of commits) {
+    const kept = [];
+    const churn = { files: 0, insertions: 0, deletions: 0, reasons: {}, paths: [] };
+
+    for (const change of commit.fileChanges) {
+      const reason = classifyNoise(change, rules, attributes);
+      if (!reason) {
+        kept.push(change);
+        continue;
+      }
+      churn.files++;
+      churn.insertions += change.insertions || 0;
+      churn.deletions += change.deletions || 0;
+      churn.reasons[reason] = (churn.reasons[reason] || 0) + 1;
+      churn.paths.push(change.file);
+    }
+
+    commit.generatedChurn = churn;
+    if (churn.files === 0) continue;
+
+    commit.fileChanges = kept;
+    commit.stats = {
+      files: commit.stats.files - churn.files,
+      insertions: commit.stats.insertions - churn.insertions,
+      deletions: commit.stats.deletions - churn.deletions
+    };
+    if (categorize) {
+      commit.changeType = categorize(commit.message, kept);
+    }
+  }
+
+  return commits;
+}
+
+// Totals across commits (and pull request members), for metrics lines and slides
+export function summarizeGeneratedChurn(commits) {
+  const summary = { files: 0, insertions: 0, deletions: 0, reasons: {} };
+
+  for (const commit of commits.flatMap(unit => unit.isPullRequest && unit.commits.length > 0 ? unit.commits : [unit])) {
+    const churn = commit.generatedChurn;
+    if (!churn) continue;
+    summary.files += churn.files;
+    summary.insertions += churn.insertions;
+    summary.deletions += churn.deletions;
+    for (const [reason, count] of Object.entries(churn.reasons)) {
+      summary.reasons[reason] = (summary.reasons[reason] || 0) + count;
+    }
+  }
+
+  return summary;
+}
+
+// "3 files, +12000/-11800 lines (2 lockfiles, 1 minified bundles)"
+export function formatGeneratedChurn(summary) {
+  const reasons = Object.entries(summary.reasons)
+    .map(([reason, count]) => `${count} ${NOISE_LABELS[reason] || reason}`)
+    .join(', ');
+  return `${summary.files} files, +${summary.insertions}/-${summary.deletions} lines (${reasons})`;
+}
+
+export function globToRegExp(pattern) {
+  // Patterns without a slash match at any depth, like .gitignore
+  const anchored = pattern.includes('/') ? pattern.replace(/^\//, '') : `**/${pattern}`;
+  const regex = anchored
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\//g, '\u0000')
+    .replace(/\*\*/g, '\u0001')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\u0000/g, '(?:.*/)?')
+    .replace(/\u0001/g, '.*');
+  return new RegExp(`^${regex}(/.*)?$`);
+}
+
+function toList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
@@ -0,0 +1,202 @@
+import path from 'path';
+import { resolveContributor } from './team.js';
+
+// Knowledge distribution from `git blame` at the end of the range. Each touched
+// file's lines are attributed to their last author (after .mailmap and the
+// roster), which gives per-file and per-directory primary owners and a bus
+// factor: the fewest people who together wrote more than half of the lines.
+// Lines written by the range's own commits are set aside to find the usual
+// owner, so a directory rewritten this week still reports who knew it before.
+
+// Blame is one git call per file, so the most changed files go first
+const MAX_BLAMED_FILES = 150;
+// Roles without meaningful line authorship
+const SKIPPED_ROLES = new Set(['assets', 'other']);
+// A usual owner holds at least this share of a directory's earlier lines
+const USUAL_OWNER_SHARE = 50;
+
+// Files to blame: present at the end of the range, not assets, most changed first
+export function collectOwnedFiles(commits, max = MAX_BLAMED_FILES) {
+  const churn = new Map();
+  for (const change of commits.flatMap(commit => commit.fileChanges || [])) {
+    if (change.status === 'D' || SKIPPED_ROLES.has(change.type)) continue;
+    churn.set(change.file, (churn.get(change.file) || 0) + (change.insertions || 0) + (change.deletions || 0));
+  }
+  return [...churn.entries()].sort((a, b) => b[1] - a[1]).slice(0, max).map(([file]) => file);
+}
+
+// Lines per commit for one file at `head`: [{ hash, name, email, lines }]
+export async function blameFile(git, head, file) {
+  const output = await git.raw(['blame', '--incremental', '-w', head, '--', file]);
+  const commits = new Map();
+  let current = null;
+  for (const line of output.split('\n')) {
+    const header = line.match(/^([0-9a-f]{40}) \d+ \d+ (\d+)$/);
+    if (header) {
+      current = commits.get(header[1]) || { hash: header[1], name: '', email: '', lines: 0 };
+      current.lines += Number(header[2]);
+      commits.set(header[1], current);
+    } else if (current && line.startsWith('author ')) {
+      current.name = line.slice(7);
+    } else if (current && line.startsWith('author-mail ')) {
+      current.email = line.slice(12).replace(/^<|>$/g, '');
+    }
+  }
+  return [...commits.values()];
+}
+
+// { head, files, directories, owners, busFactor, unusualChanges }. `rangeHashes` are
+// every commit in the range, including ones --author/--team filtered out, so their
+// lines never count toward the usual owner.
+export async function analyzeOwnership(git, { head, commits, rangeHashes, team }) {
+  const files = [];
+  for (const file of collectOwnedFiles(commits)) {
+    let blame;
+    try {
+      blame = await blameFile(git, head, file);
+    } catch (error) {
+      // Submodules, symlinks and other paths blame can't follow
+      continue;
+    }
+    const all = new Map();
+    const established = new Map();
+    for (const entry of blame) {
+      const contributor = resolveContributor(team, entry.name, entry.email);
+      if (contributor.isBot) continue;
+      addLines(all, contributor.name, entry.lines);
+      if (!rangeHashes.has(entry.hash)) addLines(established, contributor.name, entry.lines);
+    }
+    if (all.size > 0) {
+      files.push({ file, all, established });
+    }
+  }
+
+  // Who changed what in the range, per directory (authors and co-authors)
+  const changedBy = new Map();
+  for (const commit of commits) {
+    const people = [commit.author, ...(commit.coAuthors || []).map(person => person.name)];
+    for (const change of commit.fileChanges || []) {
+      const directory = directoryOf(change.file);
+      changedBy.set(directory, new Set([...(changedBy.get(directory) || []), ...people]));
+    }
+  }
+
+  const directories = new Map();
+  for (const entry of files) {
+    const directory = directoryOf(entry.file);
+    const group = directories.get(directory) || { path: directory, files: 0, all: new Map(), established: new Map() };
+    group.files++;
+    mergeLines(group.all, entry.all);
+    mergeLines(group.established, entry.established);
+    directories.set(directory, group);
+  }
+
+  const total = new Map();
+  files.forEach(entry => mergeLines(total, entry.all));
+
+  const directoryReports = [...directories.values()]
+    .map(group => {
+      const usual = summarizeLines(group.established);
+      return {
+        path: group.path,
+        files: group.files,
+        ...summarizeLines(group.all),
+        usualOwner: usual.owner,
+        usualShare: usual.share,
+        changedBy: [...(changedBy.get(group.path) || [])]
+      };
+    })
+    .sort((a, b) => a.busFactor - b.busFactor || b.lines - a.lines);
+
+  return {
+    head,
+    files: files.map(entry => ({ file: entry.file, ...summarizeLines(entry.all), usualOwner: summarizeLines(entry.established).owner })),
+    directories: directoryReports,
+    owners: rankAuthors(total).slice(0, 10),
+    busFactor: summarizeLines(total).busFactor,
+    unusualChanges: directoryReports.filter(area =>
+      area.usualOwner && area.usualShare >= USUAL_OWNER_SHARE &&
+      area.changedBy.length > 0 && !area.changedBy.includes(area.usualOwner))
+  };
+}
+
+// { file, lines, owner, share, busFactor, authors } for one file at `ref`
+export async function blameOwnership(git, ref, file, team) {
+  const lines = new Map();
+  for (const entry of await blameFile(git, ref, file)) {
+    const contributor = resolveContributor(team, entry.name, entry.email);
+    if (!contributor.isBot) addLines(lines, contributor.name, entry.lines);
+  }
+  return { file, ...summarizeLines(lines) };
+}
+
+function directoryOf(file) {
+  const directory = path.posix.dirname(file);
+  return directory === '.' ? '(root)' : directory;
+}
+
+function addLines(lines, name, count) {
+  lines.set(name, (lines.get(name) || 0) + count);
+}
+
+function mergeLines(target, source) {
+  for (const [name, count] of source) {
+    addLines(target, name, count);
+  }
+}
+
+// [{ name, lines, share }], most lines first
+function rankAuthors(lines) {
+  const total = [...lines.values()].reduce((sum, count) => sum + count, 0);
+  return [...lines.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, count]) => ({ name, lines: count, share: Math.round(100 * count / total) }));
+}
+
+// { lines, owner, share, busFactor, authors }; busFactor is 0 when nobody wrote any line
+function summarizeLines(lines) {
+  const authors = rankAuthors(lines);
+  const total = authors.reduce((sum, author) => sum + author.lines, 0);
+  let covered = 0;
+  let busFactor = 0;
+  for (const author of authors) {
+    if (covered * 2 > total) break;
+    covered += author.lines;
+    busFactor++;
+  }
+  return {
+    lines: total,
+    owner: authors[0]?.name || null,
+    share: authors[0]?.share ?? 0,
+    busFactor,
+    authors: authors.length
+  };
+}
+
+// "src/billing: Dana owns 82% of 1,204 lines, bus factor 1 (changed by: Lee)"
+export function formatOwnershipArea(area) {
+  return `${area.path}: ${area.owner} owns ${area.share}% of ${area.lines.toLocaleString('en-US')} lines, bus factor ${area.busFactor}${area.changedBy.length > 0 ? ` (changed by: ${area.changedBy.join(', ')})` : ''}`;
+}
+
+// "src/billing: usually Dana (82% of earlier lines), changed by Lee"
+export function formatUnusualChange(area) {
+  return `${area.path}: usually ${area.usualOwner} (${area.usualShare}% of earlier lines), changed by ${area.changedBy.join(', ')}`;
+}
+
+// Prompt section for per-repository ownership reports
+export function formatOwnershipContext(reports, max = 10) {
+  const withFiles = reports.filter(report => report.files.length > 0);
+  if (withFiles.length === 0) {
+    return '';
+  }
+  const multiRepo = withFiles.length > 1;
+  return `KNOWLEDGE DISTRIBUTION (git blame of the touched files at the range end; bus factor = fewest people who wrote over half the lines):
+${withFiles.map(report => {
+    const prefix = multiRepo ? `[${report.repository}] ` : '';
+    return [
+      `- ${prefix}Overall bus factor ${report.busFactor}; top owners: ${report.owners.slice(0, 5).map(owner => `${owner.name} (${owner.share}%)`).join(', ')}`,
+      ...report.directories.slice(0, max).map(area => `- ${prefix}${formatOwnershipArea(area)}`),
+      ...report.unusualChanges.slice(0, max).map(area => `- ${prefix}Outside the usual owner: ${formatUnusualChange(area)}`)
+    ].join('\n');
+  }).join('\n')}`;
+}
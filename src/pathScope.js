@@ -0,0 +1,205 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Path scoping and monorepo awareness: turns --include/--exclude globs into git
+// pathspecs (so git itself limits commits, file lists and line stats), detects
+// npm/yarn/pnpm workspaces and attributes changed files to workspace packages.
+
+export function buildPathspecs(options = {}) {
+  const includes = toList(options.include).map(pattern => `:(glob)${pattern}`);
+  const excludes = toList(options.exclude).map(pattern => `:(glob,exclude)${pattern}`);
+  return [...includes, ...excludes];
+}
+
+export function describePathScope(options = {}) {
+  const parts = [];
+  if (toList(options.include).length > 0) parts.push(`including ${toList(options.include).join(', ')}`);
+  if (toList(options.exclude).length > 0) parts.push(`excluding ${toList(options.exclude).join(', ')}`);
+  return parts.join('; ');
+}
+
+// =================================
+// WORKSPACE DETECTION
+// =================================
+
+export async function detectWorkspaces(repoPath) {
+  const patterns = await readWorkspacePatterns(repoPath);
+  if (patterns.length === 0) {
+    return [];
+  }
+
+  const positive = patterns.filter(pattern => !pattern.startsWith('!'));
+  const negative = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => normalizeDir(pattern.slice(1)));
+
+  const dirs = new Set();
+  for (const pattern of positive) {
+    for (const dir of await expandWorkspacePattern(repoPath, normalizeDir(pattern))) {
+      if (!negative.some(excluded => matchesWorkspacePattern(dir, excluded))) {
+        dirs.add(dir);
+      }
+    }
+  }
+
+  const packages = [];
+  for (const dir of dirs) {
+    const manifest = await readJson(path.join(repoPath, dir, 'package.json'));
+    if (manifest) {
+      packages.push({ name: manifest.name || dir, dir });
+    }
+  }
+
+  // Longest directory first so nested packages win over their parents
+  return packages.sort((a, b) => b.dir.length - a.dir.length);
+}
+
+async function readWorkspacePatterns(repoPath) {
+  const manifest = await readJson(path.join(repoPath, 'package.json'));
+  const fromPackageJson = Array.isArray(manifest?.workspaces) ?
+    manifest.workspaces :
+    manifest?.workspaces?.packages || [];
+
+  if (fromPackageJson.length > 0) {
+    return fromPackageJson;
+  }
+
+  // pnpm keeps its workspace list in pnpm-workspace.yaml
+  try {
+    const yaml = await fs.readFile(path.join(repoPath, 'pnpm-workspace.yaml'), 'utf8');
+    return parsePnpmWorkspace(yaml);
+  } catch (error) {
+    return [];
+  }
+}
+
+// Minimal reader for the `packages:` list; pnpm-workspace.yaml has no other structure we need
+function parsePnpmWorkspace(yaml) {
+  const patterns = [];
+  let inPackages = false;
+
+  for (const rawLine of yaml.split('\n')) {
+    const line = rawLine.replace(/#.*$/, '').trimEnd();
+    if (!line.trim()) continue;
+
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+      continue;
+    }
+    if (inPackages && /^\S/.test(line)) {
+      break;
+    }
+    const item = line.match(/^\s*-\s*['"]?([^'"]+)['"]?\s*$/);
+    if (inPackages && item) {
+      patterns.push(item[1]);
+    }
+  }
+
+  return patterns;
+}
+
+async function expandWorkspacePattern(repoPath, pattern) {
+  if (!pattern.includes('*')) {
+    return [pattern];
+  }
+
+  const segments = pattern.split('/');
+  const wildcardIndex = segments.findIndex(segment => segment.includes('*'));
+  const base = segments.slice(0, wildcardIndex).join('/');
+  const recursive = segments[wildcardIndex] === '**';
+  const maxDepth = recursive ? 4 : segments.length - wildcardIndex;
+
+  const candidates = await listDirectories(repoPath, base, maxDepth);
+  return candidates.filter(dir => matchesWorkspacePattern(dir, pattern));
+}
+
+async function listDirectories(repoPath, base, maxDepth) {
+  const results = [];
+
+  async function walk(relative, depth) {
+    if (depth > maxDepth) return;
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(repoPath, relative), { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+      const child = relative ? `${relative}/${entry.name}` : entry.name;
+      results.push(child);
+      await walk(child, depth + 1);
+    }
+  }
+
+  await walk(base, 1);
+  return results;
+}
+
+function matchesWorkspacePattern(dir, pattern) {
+  const regex = pattern
+    .split('/')
+    .map(segment => segment === '**' ? '.*' : segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*'))
+    .join('/');
+  return new RegExp(`^${regex}$`).test(dir);
+}
+
+// =================================
+// PACKAGE ATTRIBUTION
+// =================================
+
+export function findPackage(packages, file) {
+  return packages.find(pkg => file === pkg.dir || file.startsWith(`${pkg.dir}/`)) || null;
+}
+
+// Adds `package` to each file change and a `packages` list to each commit (and PR member)
+export function attributePackages(commits, packages) {
+  for (const commit of commits) {
+    if (commit.isPullRequest) {
+      attributePackages(commit.commits, packages);
+    }
+
+    const touched = new Set();
+    for (const change of commit.fileChanges) {
+      const pkg = findPackage(packages, change.file);
+      change.package = pkg?.name || null;
+      if (pkg) touched.add(pkg.name);
+    }
+    commit.packages = [...touched];
+  }
+  return commits;
+}
+
+export const ROOT_PACKAGE_LABEL = 'workspace root';
+
+// Commits grouped by touched package; commits outside any package go under the root label
+export function groupCommitsByPackage(commits) {
+  const sections = new Map();
+
+  for (const commit of commits) {
+    const keys = commit.packages?.length > 0 ? commit.packages : [ROOT_PACKAGE_LABEL];
+    for (const key of keys) {
+      if (!sections.has(key)) sections.set(key, []);
+      sections.get(key).push(commit);
+    }
+  }
+
+  return [...sections.entries()]
+    .map(([name, sectionCommits]) => ({ name, commits: sectionCommits }))
+    .sort((a, b) => b.commits.length - a.commits.length);
+}
+
+function normalizeDir(pattern) {
+  return pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function toList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
@@ -0,0 +1,232 @@
+// Calendar-aware reporting periods (--week, --last-week, --this-month, --sprint).
+// Periods are resolved in a configurable IANA timezone so that everyone on a
+// distributed team gets the same week boundaries, then handed to the commit
+// range resolver as --since/--until timestamps.
+
+const ISO_WEEK_PATTERN = /^(\d{4})-?W(\d{1,2})$/i;
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function hasPeriodOptions(options = {}) {
+  return Boolean(options.week || options.lastWeek || options.thisMonth || options.sprint);
+}
+
+export function resolvePeriod(options = {}, now = new Date()) {
+  if (!hasPeriodOptions(options)) {
+    return null;
+  }
+
+  const selected = ['week', 'lastWeek', 'thisMonth', 'sprint'].filter(key => options[key]);
+  if (selected.length > 1) {
+    throw new Error('Use only one of --week, --last-week, --this-month or --sprint');
+  }
+
+  if (options.since || options.until) {
+    throw new Error('Reporting periods cannot be combined with --since/--until');
+  }
+
+  const timeZone = resolveTimeZone(options.timezone);
+  const today = getZonedDate(now, timeZone);
+
+  let period;
+  if (options.week) {
+    period = isoWeekPeriod(parseIsoWeek(options.week));
+  } else if (options.lastWeek) {
+    const current = getIsoWeek(today);
+    const lastWeekDay = addDays(isoWeekStart(current.year, current.week), -7);
+    period = isoWeekPeriod(getIsoWeek(lastWeekDay));
+  } else if (options.thisMonth) {
+    period = monthPeriod(today.year, today.month);
+  } else {
+    period = sprintPeriod(options.sprint, options.sprints, today);
+  }
+
+  const startUtc = zonedMidnightToUtc(period.start, timeZone);
+  const endUtc = zonedMidnightToUtc(period.end, timeZone);
+
+  return {
+    ...period,
+    timeZone,
+    // git's --until is inclusive, so stop one second before the next period starts
+    since: toGitTimestamp(startUtc),
+    until: toGitTimestamp(new Date(endUtc.getTime() - 1000)),
+    label: `${period.name} (${formatDay(period.start)} – ${formatDay(addDays(period.end, -1))}, ${timeZone})`
+  };
+}
+
+function resolveTimeZone(timeZone) {
+  const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+  } catch (error) {
+    throw new Error(`Unknown timezone "${zone}": use an IANA name like "Europe/Berlin"`);
+  }
+  return zone;
+}
+
+// =================================
+// PERIOD BUILDERS
+// Days are plain { year, month, day } objects; `end` is exclusive.
+// =================================
+
+function isoWeekPeriod({ year, week }) {
+  const start = isoWeekStart(year, week);
+  return {
+    type: 'week',
+    name: `Week ${year}-W${String(week).padStart(2, '0')}`,
+    start,
+    end: addDays(start, 7)
+  };
+}
+
+function monthPeriod(year, month) {
+  const start = { year, month, day: 1 };
+  const end = month === 12 ? { year: year + 1, month: 1, day: 1 } : { year, month: month + 1, day: 1 };
+  const monthName = new Date(Date.UTC(year, month - 1, 1)).toLocaleString('en-US', { month: 'long', timeZone: 'UTC' });
+  return {
+    type: 'month',
+    name: `${monthName} ${year}`,
+    start,
+    end
+  };
+}
+
+function sprintPeriod(sprint, sprints = {}, today) {
+  if (!sprints?.start) {
+    throw new Error('--sprint requires a "sprints" block with a start date in the config file');
+  }
+
+  const firstStart = parseDateOnly(sprints.start, 'sprints.start');
+  const lengthDays = Number(sprints.lengthDays ?? 14);
+  if (!Number.isInteger(lengthDays) || lengthDays < 1) {
+    throw new Error(`Invalid sprints.lengthDays "${sprints.lengthDays}": expected a positive whole number of days`);
+  }
+
+  let number;
+  if (String(sprint).toLowerCase() === 'current') {
+    const elapsed = Math.floor((toUtcMs(today) - toUtcMs(firstStart)) / DAY_MS);
+    if (elapsed < 0) {
+      throw new Error(`The first sprint starts on ${sprints.start}; there is no current sprint yet`);
+    }
+    number = Math.floor(elapsed / lengthDays) + 1;
+  } else {
+    number = Number(sprint);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new Error(`Invalid --sprint "${sprint}": expected a sprint number (1, 2, ...) or "current"`);
+    }
+  }
+
+  const start = addDays(firstStart, (number - 1) * lengthDays);
+  return {
+    type: 'sprint',
+    name: `${sprints.name || 'Sprint'} ${number}`,
+    number,
+    start,
+    end: addDays(start, lengthDays)
+  };
+}
+
+// =================================
+// CALENDAR HELPERS
+// =================================
+
+function parseIsoWeek(value) {
+  const match = String(value).trim().match(ISO_WEEK_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid --week "${value}": expected an ISO week like 2026-W42`);
+  }
+
+  const year = Number(match[1]);
+  const week = Number(match[2]);
+  if (week < 1 || week > isoWeeksInYear(year)) {
+    throw new Error(`Invalid --week "${value}": ${year} has ${isoWeeksInYear(year)} ISO weeks`);
+  }
+  return { year, week };
+}
+
+function parseDateOnly(value, field) {
+  const match = String(value).match(DATE_ONLY_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid ${field} "${value}": expected YYYY-MM-DD`);
+  }
+  return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+}
+
+// ISO weeks start on Monday; week 1 is the week containing January 4th
+function isoWeekStart(year, week) {
+  const jan4 = { year, month: 1, day: 4 };
+  const jan4Weekday = isoWeekday(jan4);
+  return addDays(jan4, (week - 1) * 7 - (jan4Weekday - 1));
+}
+
+function getIsoWeek(day) {
+  // The Thursday of a week decides which year the week belongs to
+  const thursday = addDays(day, 4 - isoWeekday(day));
+  const week = Math.floor((toUtcMs(thursday) - toUtcMs(isoWeekStart(thursday.year, 1))) / (7 * DAY_MS)) + 1;
+  return { year: thursday.year, week };
+}
+
+function isoWeeksInYear(year) {
+  return getIsoWeek({ year, month: 12, day: 28 }).week;
+}
+
+function isoWeekday(day) {
+  return new Date(toUtcMs(day)).getUTCDay() || 7;
+}
+
+function addDays(day, days) {
+  const date = new Date(toUtcMs(day) + days * DAY_MS);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function toUtcMs({ year, month, day }) {
+  return Date.UTC(year, month - 1, day);
+}
+
+function formatDay(day) {
+  return new Date(toUtcMs(day)).toLocaleDateString('en-US', {
+    month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+  });
+}
+
+// =================================
+// TIMEZONE HELPERS
+// =================================
+
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(date);
+
+  return Object.fromEntries(parts
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, Number(part.value)]));
+}
+
+function getZonedDate(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return { year, month, day };
+}
+
+function getTimeZoneOffsetMs(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Converts local midnight of `day` in `timeZone` to a UTC instant. The offset is
+// re-checked at the candidate instant so DST transitions resolve correctly.
+function zonedMidnightToUtc(day, timeZone) {
+  const guess = toUtcMs(day);
+  const firstOffset = getTimeZoneOffsetMs(new Date(guess), timeZone);
+  const candidate = guess - firstOffset;
+  const secondOffset = getTimeZoneOffsetMs(new Date(candidate), timeZone);
+  return new Date(guess - secondOffset);
+}
+
+function toGitTimestamp(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
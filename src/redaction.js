@@ -0,0 +1,236 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { run } from '@openai/agents';
+
+// Redaction for everything that leaves the machine: agent prompts and the tool
+// outputs the agents read (diff content included). Secrets, emails, internal
+// hosts and addresses, plus config `redaction.patterns`, become placeholders
+// such as [REDACTED_EMAIL_2]. The same value gets the same placeholder for the
+// whole run, so the model can still tell two redacted values apart. Every text
+// actually sent is appended to an audit log.
+
+export const DEFAULT_AUDIT_DIR = path.join('.blackflag', 'audit');
+
+// Key names that hold secrets, as the whole name or its ending: `password`, `API_KEY`,
+// `clientSecret`, `authToken`. `author`, `tokenExpiry` and `authorDate` don't qualify.
+const SECRET_KEY = '[A-Za-z0-9_.-]*?(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|private[_-]?key|auth[_-]?token|auth[_-]?key|credentials?)';
+// Key names whose values are secret however they look, as the whole name or its ending
+const PASSWORD_KEY = '[A-Za-z0-9_.-]*?(?:password|passwd|pwd|secret)';
+// Between key and value; quotes may be escaped inside JSON tool output
+const ASSIGNMENT = '\\\\?["\']?\\s*[:=]\\s*';
+// Suffixes for internal-only hosts
+const INTERNAL_TLDS = '(?:internal|local|localdomain|corp|lan|intranet|private|home\\.arpa)';
+const INTERNAL_SUFFIX = `(?:[a-z0-9-]+\\.)*${INTERNAL_TLDS}(?![\\w-]|\\.[\\w-])`;
+const HOST = `[a-z0-9-]+\\.${INTERNAL_SUFFIX}`;
+
+// Built-in detectors, most specific first; `group` redacts one capture group only
+const DETECTORS = [
+  { kind: 'private_key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY( BLOCK)?-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY( BLOCK)?-----/g },
+  { kind: 'api_key', pattern: /\b(AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { kind: 'api_key', pattern: /\b(gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,}|glpat-[A-Za-z0-9_-]{20,})\b/g },
+  { kind: 'api_key', pattern: /\b(sk|rk|pk)_(live|test)_[A-Za-z0-9]{16,}\b/g },
+  { kind: 'api_key', pattern: /\bsk-(proj-|ant-)?[A-Za-z0-9_-]{20,}\b/g },
+  { kind: 'api_key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { kind: 'token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+  { kind: 'token', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\b/g },
+  { kind: 'token', pattern: /\b(Bearer|Basic)\s+([A-Za-z0-9+/_.=-]{16,})/g, group: 2 },
+  // Quoted literals: password = "hunter2hunter2", "apiKey": "..."; not "${API_KEY}"
+  {
+    kind: 'secret',
+    pattern: new RegExp(`\\b(${SECRET_KEY}${ASSIGNMENT}\\\\?(["'\`]))([^"'\`\\s\\\\{}()]{8,})(?=\\\\?\\2)`, 'gi'),
+    group: 3
+  },
+  // Passwords and secrets on a line of their own (.env, YAML, properties), whatever they
+  // look like: DB_PASSWORD=correcthorsebatterystaple, `  secret: hunter2hunter2`; not
+  // `password = getPassword(input);` or `password: process.env.DB_PASSWORD`
+  {
+    kind: 'secret',
+    pattern: new RegExp(`(?<=^|[\\s"+-]|\\\\n)(${PASSWORD_KEY}\\s*[:=]\\s*)([^\\s"'\`\\\\()]{6,})(?=\\s*$|\\\\n|")`, 'gim'),
+    group: 2,
+    // Calls are cut off by the parentheses above; member access such as process.env.X is code
+    accept: value => !/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)+[,;]?$/.test(value)
+  },
+  // Other unquoted values only when they look generated: API_KEY=Zx8f...; not
+  // `token = getTokenFromEnv2024()`, `process.env.API_KEY` or `token: 1700000000000`
+  {
+    kind: 'secret',
+    pattern: new RegExp(`\\b(${SECRET_KEY}${ASSIGNMENT})([A-Za-z0-9+/=_-]{12,})(?![\\w(.])`, 'gi'),
+    group: 2,
+    accept: looksGenerated
+  },
+  { kind: 'password', pattern: /\b([a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)([^\s@/]+)@/gi, group: 2 },
+  { kind: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g },
+  { kind: 'ip', pattern: /\b(10\.\d{1,3}|172\.(1[6-9]|2\d|3[01])|192\.168|169\.254)\.\d{1,3}\.\d{1,3}\b/g },
+  // Internal hosts in URLs and user@host: https://api.internal/v1, postgres://db.prod.internal:5432/app
+  { kind: 'hostname', pattern: new RegExp(`(?<=:\\/\\/|@)${HOST}`, 'gi') },
+  // Elsewhere only where code and prose put hosts: a whole quoted string ('db.internal'),
+  // a host:port, or a first label with a digit or hyphen (build01.corp, ci-runner.lan).
+  // Member access such as `pkg.private`, `this.internal` or `opts.local` stays, and so
+  // do file names such as `.env.local` and `settings.local.js`.
+  { kind: 'hostname', pattern: new RegExp(`(?<=["'\`])${HOST}(?=\\\\?["'\`])`, 'gi') },
+  { kind: 'hostname', pattern: new RegExp(`(?<![\\w./-])${HOST}(?=:\\d)`, 'gi') },
+  { kind: 'hostname', pattern: new RegExp(`(?<![\\w./-])[a-z0-9]*[\\d-][a-z0-9-]*\\.${INTERNAL_SUFFIX}`, 'gi') }
+];
+
+// Mixed letters and digits with high per-character entropy, like generated keys
+function looksGenerated(value) {
+  if (!/[A-Za-z]/.test(value) || !/\d/.test(value)) {
+    return false;
+  }
+  const counts = {};
+  for (const char of value) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+  const entropy = Object.values(counts).reduce((sum, count) => {
+    const share = count / value.length;
+    return sum - share * Math.log2(share);
+  }, 0);
+  return entropy >= 3.2;
+}
+
+// `redaction` in the config file: { patterns, internalDomains, allow, emails }
+export function createRedactor(options = {}) {
+  const config = options.redaction || {};
+  const enabled = options.redact !== false && config.enabled !== false;
+
+  const detectors = [
+    // Custom patterns run first, so organization-specific IDs keep their own name
+    ...toList(config.patterns).map(compileCustomPattern),
+    ...DETECTORS.filter(detector => detector.kind !== 'email' || config.emails !== false),
+    ...toList(config.internalDomains).map(domain => ({
+      kind: 'hostname',
+      pattern: new RegExp(`\\b([a-z0-9-]+\\.)*${escapeRegExp(domain.replace(/^\./, ''))}\\b`, 'gi')
+    }))
+  ];
+  const allow = new Set(toList(config.allow).map(value => value.toLowerCase()));
+
+  // value → placeholder for the whole run; counters per kind
+  const placeholders = new Map();
+  const counters = {};
+  const totals = {};
+
+  function placeholderFor(kind, value) {
+    const key = `${kind}\0${value}`;
+    if (!placeholders.has(key)) {
+      counters[kind] = (counters[kind] || 0) + 1;
+      placeholders.set(key, `[REDACTED_${kind.toUpperCase()}_${counters[kind]}]`);
+    }
+    return placeholders.get(key);
+  }
+
+  return {
+    enabled,
+
+    // { text, counts } with counts per kind for this text
+    redact(text) {
+      if (!enabled || !text) {
+        return { text, counts: {} };
+      }
+      const counts = {};
+      let redacted = text;
+      for (const detector of detectors) {
+        redacted = redacted.replace(detector.pattern, (...match) => {
+          const value = detector.group ? match[detector.group] : match[0];
+          if (!value || allow.has(value.toLowerCase()) || (detector.accept && !detector.accept(value))) {
+            return match[0];
+          }
+          counts[detector.kind] = (counts[detector.kind] || 0) + 1;
+          totals[detector.kind] = (totals[detector.kind] || 0) + 1;
+          const placeholder = placeholderFor(detector.kind, value);
+          return detector.group ? match[0].replace(value, placeholder) : placeholder;
+        });
+      }
+      return { text: redacted, counts };
+    },
+
+    // Redactions so far, per kind, and how many distinct values they covered
+    summary() {
+      return { totals: { ...totals }, distinct: placeholders.size };
+    }
+  };
+}
+
+function compileCustomPattern(entry) {
+  const { name = 'custom', pattern, flags = '' } = typeof entry === 'string' ? { pattern: entry } : entry;
+  try {
+    return {
+      kind: name.replace(/[^A-Za-z0-9]+/g, '_').toLowerCase(),
+      pattern: new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`)
+    };
+  } catch (error) {
+    throw new Error(`Invalid redaction pattern "${pattern}": ${error.message}`);
+  }
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// JSON Lines file with one entry per text sent: { time, type, name, text, redactions }.
+// Created on the first entry, so runs without AI leave no file behind.
+export function createAuditLog({ enabled = true, file = null } = {}) {
+  const logPath = path.resolve(file || path.join(DEFAULT_AUDIT_DIR, `run-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`));
+  const sentInstructions = new Set();
+  let entries = 0;
+
+  return {
+    enabled,
+    path: logPath,
+
+    async record(type, name, text, redactions = {}) {
+      if (!enabled) return;
+      if (entries === 0) {
+        await fs.mkdir(path.dirname(logPath), { recursive: true });
+      }
+      entries++;
+      await fs.appendFile(logPath, `${JSON.stringify({ time: new Date().toISOString(), type, name, text, redactions })}\n`);
+    },
+
+    // Agent instructions are sent with every call but logged once per run
+    async recordInstructions(agent) {
+      if (!enabled || sentInstructions.has(agent.name) || typeof agent.instructions !== 'string') return;
+      sentInstructions.add(agent.name);
+      await this.record('instructions', agent.name, agent.instructions);
+    },
+
+    count() {
+      return entries;
+    }
+  };
+}
+
+// Module-wide redactor and audit log, replaced once the config is loaded (see BlackflagWeekly.run)
+let activeRedactor = createRedactor();
+let activeAuditLog = createAuditLog({ enabled: false });
+
+export function useRedaction({ redactor, auditLog }) {
+  activeRedactor = redactor;
+  activeAuditLog = auditLog;
+}
+
+// Drop-in for the Agents SDK `run`: redacts the prompt and logs what was sent
+export async function runAgent(agent, prompt, options) {
+  const { text, counts } = activeRedactor.redact(prompt);
+  await activeAuditLog.recordInstructions(agent);
+  await activeAuditLog.record('prompt', agent.name, text, counts);
+  return run(agent, text, options);
+}
+
+// Tool results go back to the model as input, so they get the same treatment
+export async function redactToolOutput(toolName, output) {
+  const { text, counts } = activeRedactor.redact(output);
+  await activeAuditLog.record('tool_output', toolName, text, counts);
+  return text;
+}
+
+// "4 redactions (2 email, 1 api_key, 1 ip)"
+export function formatRedactionSummary(summary) {
+  const total = Object.values(summary.totals).reduce((sum, count) => sum + count, 0);
+  const kinds = Object.entries(summary.totals).map(([kind, count]) => `${count} ${kind}`).join(', ');
+  return `${total} ${total === 1 ? 'redaction' : 'redactions'}${kinds ? ` (${kinds})` : ''}`;
+}
+
+function toList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
@@ -0,0 +1,111 @@
+import { collectBreakingChanges } from './conventionalCommits.js';
+import { getContributors } from './team.js';
+
+// Release awareness: finds tags inside the analyzed range, splits the timeline
+// into "released in vX" segments plus an unreleased tail, and summarizes each
+// release's highlights, breaking changes and contributors.
+
+export const UNRELEASED = 'unreleased';
+
+// Newest tag reachable from `ref`, for --since-last-tag
+export async function findLastTag(git, ref = 'HEAD', pattern) {
+  try {
+    const args = ['describe', '--tags', '--abbrev=0', ...(pattern ? ['--match', pattern] : []), ref];
+    const tag = (await git.raw(args)).trim();
+    if (tag) {
+      return tag;
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new Error(`No tag${pattern ? ` matching "${pattern}"` : ''} found before ${ref}`);
+}
+
+// Tags (optionally filtered by a glob such as "v*") with the commit each points at
+export async function listTags(git, pattern) {
+  const output = await git.raw([
+    'for-each-ref',
+    '--format=%(refname:short)%09%(objectname)%09%(*objectname)%09%(creatordate:iso-strict)',
+    `refs/tags/${pattern || '*'}`
+  ]);
+
+  return output.split('\n').filter(Boolean).map(line => {
+    const [name, object, peeled, date] = line.split('\t');
+    // Annotated tags peel to their commit; lightweight tags point at it directly
+    return { name, hash: peeled || object, date };
+  });
+}
+
+// When tags fall inside the range, labels every commit with `release` (tag name or
+// UNRELEASED) and returns segments oldest first. A commit belongs to the first tag
+// that contains it. Tags are found on all of `commits`; with `labelled` (e.g. the
+// commits left after bot and --author/--team filtering) only those are labelled and
+// listed, so a release tagged on a filtered-out commit still splits the timeline.
+export async function assignReleases(git, commits, { pattern, from, labelled = commits } = {}) {
+  const positions = new Map(commits.map((commit, index) => [commit.hash, index]));
+  const tags = (await listTags(git, pattern))
+    .filter(tag => positions.has(tag.hash))
+    // Oldest tagged commit first (commits are newest first)
+    .sort((a, b) => positions.get(b.hash) - positions.get(a.hash));
+
+  if (tags.length === 0) {
+    return [];
+  }
+
+  const segments = [];
+  const assigned = new Set();
+  let previous = from ? [from] : [];
+
+  for (const tag of tags) {
+    const output = await git.raw(['rev-list', tag.hash, ...previous.map(ref => `^${ref}`)]);
+    const members = new Set(output.split('\n').filter(Boolean));
+    const releaseCommits = labelled.filter(commit => members.has(commit.hash) && !assigned.has(commit.hash));
+
+    releaseCommits.forEach(commit => {
+      assigned.add(commit.hash);
+      commit.release = tag.name;
+    });
+    // A release made up only of filtered-out commits has nothing to show
+    if (releaseCommits.length > 0) {
+      segments.push({ name: tag.name, date: tag.date, commits: releaseCommits, released: true });
+    }
+    previous = [tag.hash];
+  }
+
+  if (segments.length === 0) {
+    return [];
+  }
+
+  const unreleased = labelled.filter(commit => !assigned.has(commit.hash));
+  unreleased.forEach(commit => { commit.release = UNRELEASED; });
+  if (unreleased.length > 0) {
+    segments.push({ name: UNRELEASED, date: null, commits: unreleased, released: false });
+  }
+
+  return segments;
+}
+
+// Highlights (features and fixes first), breaking changes and contributors of a segment
+export function summarizeRelease(segment, maxHighlights = 5) {
+  const priority = { feature: 0, bugfix: 1, performance: 2 };
+  const highlights = [...segment.commits]
+    .sort((a, b) => (priority[a.changeType] ?? 9) - (priority[b.changeType] ?? 9))
+    .slice(0, maxHighlights);
+
+  return {
+    ...segment,
+    highlights,
+    breakingChanges: collectBreakingChanges(segment.commits),
+    contributors: getContributors(segment.commits)
+  };
+}
+
+// Prompt section listing each release segment
+export function formatReleaseContext(segments) {
+  return segments.map(segment => {
+    const release = summarizeRelease(segment);
+    return `${release.released ? `RELEASED IN ${release.name}` : 'UNRELEASED'} (${release.commits.length} commits; contributors: ${release.contributors.join(', ') || 'none'}):
+${release.highlights.map(commit => `  - ${commit.message}`).join('\n')}${release.breakingChanges.length > 0 ?
+      `\n  Breaking: ${release.breakingChanges.map(commit => commit.conventional.breakingNotes.join('; ')).join(' | ')}` : ''}`;
+  }).join('\n\n');
+}
@@ -0,0 +1,117 @@
+import simpleGit from 'simple-git';
+import fs from 'fs/promises';
+import path from 'path';
+import { JIRA_KEY_PATTERN } from './issues.js';
+
+// Multi-repository support: resolves --repo / config `repositories` entries to
+// git instances, merges per-repo timelines and finds topics (issue keys) that
+// show up in more than one repository.
+
+const ISSUE_KEY_PATTERN = new RegExp(JIRA_KEY_PATTERN, 'g');
+
+export async function resolveRepositories(options = {}) {
+  const entries = options.repo?.length ? options.repo : (options.repositories || []);
+  // --repo paths are relative to the working directory, config `repositories` to the config file
+  const baseDir = !options.repo?.length && options.config ? path.dirname(path.resolve(options.config)) : process.cwd();
+  const gitConfig = options.mailmap ? [`mailmap.file=${path.resolve(options.mailmap)}`] : [];
+
+  if (entries.length === 0) {
+    return [{ name: path.basename(process.cwd()), path: process.cwd(), git: simpleGit({ config: gitConfig }), gitConfig }];
+  }
+
+  const repositories = [];
+  for (const entry of entries) {
+    const config = typeof entry === 'string' ? { path: entry } : entry;
+    if (!config?.path) {
+      throw new Error('Each entry in "repositories" needs a path');
+    }
+
+    const repoPath = path.resolve(baseDir, config.path);
+    try {
+      await fs.access(repoPath);
+    } catch (error) {
+      throw new Error(`Repository path not found: ${config.path}`);
+    }
+
+    const git = simpleGit({ baseDir: repoPath, config: gitConfig });
+    if (!await git.checkIsRepo()) {
+      throw new Error(`Not a git repository: ${config.path}`);
+    }
+
+    repositories.push({ name: config.name || path.basename(repoPath), path: repoPath, git, gitConfig });
+  }
+
+  const names = repositories.map(repo => repo.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Two repositories are labelled "${duplicate}": set a distinct "name" in the config file`);
+  }
+
+  return repositories;
+}
+
+// Newest first, matching git log order within a single repository
+export function mergeRepositoryTimelines(commitsByRepository) {
+  return commitsByRepository
+    .flat()
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+// Keys found by the configured issue trackers (commit.issues), else JIRA-style keys
+export function extractIssueKeys(commit) {
+  if (commit.issues) {
+    return commit.issues.map(issue => issue.key);
+  }
+  const text = `${commit.message || ''}\n${commit.body || ''}`;
+  return [...new Set(text.match(ISSUE_KEY_PATTERN) || [])];
+}
+
+// Issue keys referenced from more than one repository, most widespread first
+export function correlateAcrossRepositories(commits) {
+  const topics = new Map();
+
+  for (const commit of commits) {
+    // Bare "#123" numbers are per-repository, so they never link repositories together
+    for (const key of extractIssueKeys(commit).filter(issueKey => !issueKey.startsWith('#'))) {
+      if (!topics.has(key)) {
+        topics.set(key, { key, repositories: new Set(), commits: [] });
+      }
+      const topic = topics.get(key);
+      topic.repositories.add(commit.repository);
+      topic.commits.push(commit);
+    }
+  }
+
+  return [...topics.values()]
+    .filter(topic => topic.repositories.size > 1)
+    .map(topic => ({ ...topic, repositories: [...topic.repositories] }))
+    .sort((a, b) => b.repositories.length - a.repositories.length || b.commits.length - a.commits.length);
+}
+
+export function summarizeRepositories(commits, repositoryNames) {
+  return repositoryNames.map(name => {
+    const repoCommits = commits.filter(commit => commit.repository === name);
+    return {
+      name,
+      commits: repoCommits.length,
+      files: repoCommits.reduce((sum, c) => sum + (c.stats?.files || 0), 0),
+      insertions: repoCommits.reduce((sum, c) => sum + (c.stats?.insertions || 0), 0),
+      deletions: repoCommits.reduce((sum, c) => sum + (c.stats?.deletions || 0), 0),
+      contributors: [...new Set(repoCommits.map(c => c.author))]
+    };
+  });
+}
+
+// Prompt section describing per-repo totals and cross-repo topics
+export function formatCrossRepositoryContext(commits, repositoryNames) {
+  const summaries = summarizeRepositories(commits, repositoryNames);
+  const topics = correlateAcrossRepositories(commits);
+
+  return `REPOSITORIES:
+${summaries.map(repo => `- ${repo.name}: ${repo.commits} commits, ${repo.files} files, +${repo.insertions}/-${repo.deletions} lines (${repo.contributors.join(', ') || 'no contributors'})`).join('\n')}
+
+CROSS-REPOSITORY TOPICS:
+${topics.length > 0 ?
+    topics.map(topic => `- ${topic.key} touched ${topic.repositories.join(', ')}:\n${topic.commits.map(c => `    • [${c.repository}] ${c.message}`).join('\n')}`).join('\n') :
+    '- No shared issue keys across repositories'}`;
+}
@@ -0,0 +1,179 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { narrowPullRequestUnit } from './mergeHistory.js';
+
+// Contributor identities: merges one person's several emails into a single
+// display name via a roster file, attaches team/role, recognizes bots, and
+// filters commits by --author / --team. Git's own .mailmap is already applied
+// by the %aN/%aE log fields before anything here runs.
+
+const DEFAULT_BOT_PATTERNS = [
+  /\[bot\]/i,
+  /^dependabot/i,
+  /^renovate/i,
+  /^github-actions/i,
+  /^greenkeeper/i,
+  /^snyk-bot/i,
+  /noreply@github\.com$/i
+];
+
+export async function loadTeam(options = {}) {
+  const roster = await loadRoster(options.roster);
+  const botPatterns = [
+    ...DEFAULT_BOT_PATTERNS,
+    ...[...(roster.bots || []), ...(options.botPatterns || [])].map(toPattern)
+  ];
+
+  return {
+    members: (roster.members || []).map(normalizeMember),
+    botPatterns,
+    includeBots: Boolean(options.includeBots),
+    authorFilters: toList(options.author),
+    teamFilters: toList(options.team).map(team => team.toLowerCase())
+  };
+}
+
+async function loadRoster(roster) {
+  if (!roster) {
+    return {};
+  }
+  if (typeof roster === 'object') {
+    return roster;
+  }
+
+  const rosterPath = path.resolve(roster);
+  try {
+    if (/\.(m?js)$/.test(rosterPath)) {
+      const module = await import(pathToFileURL(rosterPath).href);
+      return module.default || module;
+    }
+    return JSON.parse(await fs.readFile(rosterPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load roster ${roster}: ${error.message}`);
+  }
+}
+
+function normalizeMember(member) {
+  if (!member?.name) {
+    throw new Error('Each roster member needs a "name"');
+  }
+  return {
+    name: member.name,
+    emails: toList(member.emails || member.email).map(email => email.toLowerCase()),
+    aliases: toList(member.aliases).map(alias => alias.toLowerCase()),
+    team: member.team || null,
+    role: member.role || null
+  };
+}
+
+export function resolveContributor(team, name = '', email = '') {
+  const lowerEmail = email.toLowerCase();
+  const lowerName = name.toLowerCase();
+  const member = team.members.find(candidate =>
+    candidate.emails.includes(lowerEmail) ||
+    candidate.aliases.includes(lowerName) ||
+    candidate.name.toLowerCase() === lowerName
+  );
+
+  return {
+    name: member?.name || name,
+    email,
+    team: member?.team || null,
+    role: member?.role || null,
+    isBot: team.botPatterns.some(pattern => pattern.test(name) || pattern.test(email))
+  };
+}
+
+// Rewrites commit.author to the roster display name and records team/role/bot.
+// Co-authored-by trailers resolve the same way into commit.coAuthors.
+export function identifyContributors(commits, team) {
+  for (const commit of commits) {
+    const contributor = resolveContributor(team, commit.author, commit.authorEmail);
+    commit.author = contributor.name;
+    commit.contributor = contributor;
+    commit.coAuthors = (commit.trailers?.coAuthors || [])
+      .map(person => resolveContributor(team, person.name, person.email))
+      .filter((person, index, all) => person.name !== contributor.name &&
+        all.findIndex(other => other.name === person.name) === index);
+  }
+  return commits;
+}
+
+// Drops bot commits (unless --include-bots) and applies --author / --team to the
+// author or any co-author. A pull request unit is kept when any of its commits
+// passes, narrowed to those commits so its totals only count what passed.
+export function filterCommits(commits, team) {
+  const passes = commit => {
+    // Pull request units without members in range carry no resolved identity
+    const contributor = commit.contributor || resolveContributor(team, commit.author);
+    return (!contributor.isBot || team.includeBots) &&
+      [contributor, ...(commit.coAuthors || [])].some(person => matchesFilters(person, team));
+  };
+
+  return commits.flatMap(commit => {
+    if (commit.isPullRequest && commit.commits.length > 0) {
+      const members = commit.commits.filter(passes);
+      return members.length > 0 ? [narrowPullRequestUnit(commit, members)] : [];
+    }
+    return passes(commit) ? [commit] : [];
+  });
+}
+
+function matchesFilters(contributor, team) {
+  if (team.authorFilters.length > 0) {
+    const haystack = [contributor.name, contributor.email].map(value => (value || '').toLowerCase());
+    const matchesAuthor = team.authorFilters.some(filter =>
+      haystack.some(value => value.includes(filter.toLowerCase()))
+    );
+    if (!matchesAuthor) return false;
+  }
+
+  if (team.teamFilters.length > 0 && !team.teamFilters.includes((contributor.team || '').toLowerCase())) {
+    return false;
+  }
+
+  return true;
+}
+
+// Unique human contributors, co-authors included (bots excluded even when their commits are kept)
+export function getContributors(commits) {
+  return [...new Set(commits
+    .flatMap(individualCommits)
+    .flatMap(commit => [commit.contributor || { name: commit.author }, ...(commit.coAuthors || [])])
+    .filter(person => !person.isBot)
+    .map(person => person.name))];
+}
+
+// Per-person commit, co-authored commit and file counts, with roster team/role when known
+export function getWorkDistribution(commits) {
+  const individual = commits.flatMap(individualCommits);
+
+  return getContributors(commits).map(author => {
+    const authored = individual.filter(c => c.author === author);
+    const coAuthored = individual.filter(c => c.coAuthors?.some(person => person.name === author));
+    const contributor = authored[0]?.contributor ||
+      coAuthored[0]?.coAuthors.find(person => person.name === author) || {};
+    return {
+      author,
+      team: contributor.team || null,
+      role: contributor.role || null,
+      commits: authored.length,
+      coAuthored: coAuthored.length,
+      impact: [...authored, ...coAuthored].reduce((sum, c) => sum + (c.stats?.files || 0), 0)
+    };
+  });
+}
+
+function individualCommits(commit) {
+  return commit.isPullRequest && commit.commits.length > 0 ? commit.commits : [commit];
+}
+
+function toPattern(value) {
+  return value instanceof RegExp ? value : new RegExp(value, 'i');
+}
+
+function toList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
@@ -0,0 +1,376 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parseMergeMessage } from './mergeHistory.js';
+import { getIssueRefs } from './trailers.js';
+
+// Offline pull request and issue metadata from exported files (`gh pr list --json`,
+// `gh issue list --json`, Jira CSV or REST JSON exports). Records are matched to
+// commits by merge SHA, pull request number or issue key, so slides can report
+// review counts and ticket status instead of guessing from commit text.
+
+const DONE_STATUSES = ['done', 'closed', 'resolved', 'released', 'merged', 'complete', 'completed', 'won\'t do', 'won\'t fix', 'cancelled', 'canceled', 'duplicate'];
+const IN_PROGRESS_STATUSES = ['in progress', 'in review', 'review', 'code review', 'in development', 'qa', 'in qa', 'testing', 'in testing', 'blocked'];
+const SQUASH_SUBJECT_PATTERN = /\(#(\d+)\)\s*$/;
+
+// --prs-file / --issues-file (config `prsFile` / `issuesFile`), each repeatable
+export async function loadTrackerImports(options = {}) {
+  const pullRequests = [];
+  for (const file of toList(options.prsFile)) {
+    pullRequests.push(...await loadPullRequestsFile(file));
+  }
+
+  const issues = [];
+  for (const file of toList(options.issuesFile)) {
+    issues.push(...await loadIssuesFile(file));
+  }
+
+  return { pullRequests, issues };
+}
+
+export async function loadPullRequestsFile(file) {
+  const data = await readExport(file);
+  const records = data.rows ? data.rows.map(pullRequestFromRow) : toRecords(data.json, 'pullRequests');
+  return records.map(record => normalizePullRequest(record, file));
+}
+
+export async function loadIssuesFile(file) {
+  const data = await readExport(file);
+  const records = data.rows ? data.rows.map(issueFromRow) : toRecords(data.json, 'issues');
+  return records.map(record => normalizeIssue(record, file));
+}
+
+async function readExport(file) {
+  let text;
+  try {
+    text = await fs.readFile(path.resolve(file), 'utf8');
+  } catch (error) {
+    throw new Error(`Failed to read ${file}: ${error.message}`);
+  }
+
+  if (/\.csv$/i.test(file)) {
+    return { rows: parseCsv(text) };
+  }
+  try {
+    return { json: JSON.parse(text) };
+  } catch (error) {
+    throw new Error(`${file} is neither CSV nor valid JSON: ${error.message}`);
+  }
+}
+
+// gh exports are plain arrays; Jira REST search results wrap them in { issues: [...] }
+function toRecords(json, key) {
+  if (Array.isArray(json)) return json;
+  if (Array.isArray(json?.[key])) return json[key];
+  if (Array.isArray(json?.issues)) return json.issues;
+  throw new Error(`Expected an array of ${key === 'issues' ? 'issues' : 'pull requests'}`);
+}
+
+// RFC 4180 CSV: quoted fields may hold commas, quotes ("") and newlines. Rows become
+// objects keyed by lower-cased header; repeated headers (Jira exports one "Labels"
+// column per label) collect into arrays.
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [headers = [], ...rows] = records.filter(row => row.some(value => value.trim()));
+  const keys = headers.map(header => header.trim().toLowerCase());
+
+  return rows.map(row => {
+    const entry = {};
+    keys.forEach((key, index) => {
+      const value = (row[index] || '').trim();
+      if (!(key in entry)) {
+        entry[key] = value;
+      } else {
+        entry[key] = [...toList(entry[key]), value];
+      }
+    });
+    return entry;
+  });
+}
+
+function readField(row, ...names) {
+  for (const name of names) {
+    const value = toList(row[name]).find(Boolean);
+    if (value) return value;
+  }
+  return '';
+}
+
+function readList(row, ...names) {
+  return names
+    .flatMap(name => toList(row[name]))
+    .flatMap(value => value.split(/[;,]/))
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+// CSV columns named like the gh JSON fields, or their spelled-out variants
+function pullRequestFromRow(row) {
+  const reviews = readField(row, 'reviews', 'review count', 'reviewcount');
+  return {
+    number: readField(row, 'number', 'pr', 'pull request', 'id'),
+    title: readField(row, 'title'),
+    state: readField(row, 'state', 'status'),
+    labels: readList(row, 'labels', 'label'),
+    url: readField(row, 'url'),
+    author: readField(row, 'author'),
+    headRefName: readField(row, 'headrefname', 'branch'),
+    mergeCommit: readField(row, 'mergecommit', 'merge commit', 'merge_commit_sha', 'merge sha'),
+    reviewDecision: readField(row, 'reviewdecision', 'review decision'),
+    reviewCount: reviews ? Number(reviews) : 0
+  };
+}
+
+function issueFromRow(row) {
+  return {
+    key: readField(row, 'issue key', 'key', 'number'),
+    title: readField(row, 'summary', 'title'),
+    status: readField(row, 'status', 'state'),
+    statusCategory: readField(row, 'status category'),
+    resolution: readField(row, 'resolution'),
+    type: readField(row, 'issue type', 'type'),
+    assignee: readField(row, 'assignee'),
+    labels: readList(row, 'labels', 'label'),
+    url: readField(row, 'url')
+  };
+}
+
+function normalizePullRequest(record, file) {
+  const number = Number(String(record.number ?? '').replace(/^#/, ''));
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`${file}: every pull request needs a "number"`);
+  }
+
+  const reviews = Array.isArray(record.reviews) ? record.reviews : [];
+  const reviewers = [...new Set(reviews.map(review => review.author?.login || review.author).filter(Boolean))];
+
+  return {
+    number,
+    title: record.title || '',
+    state: (record.state || '').toLowerCase(),
+    labels: toList(record.labels).map(label => label?.name || label).filter(Boolean),
+    url: record.url || null,
+    author: record.author?.login || record.author || null,
+    branch: record.headRefName || null,
+    mergeSha: record.mergeCommit?.oid || (typeof record.mergeCommit === 'string' ? record.mergeCommit : null) || record.merge_commit_sha || null,
+    reviewCount: reviews.length || record.reviewCount || 0,
+    approvals: reviews.filter(review => review.state === 'APPROVED').length,
+    reviewers,
+    reviewDecision: (record.reviewDecision || '').toLowerCase().replace(/_/g, ' ') || null,
+    // gh `closingIssuesReferences`: issues the pull request closes when merged
+    closingIssues: toList(record.closingIssuesReferences).map(ref => `#${ref.number}`)
+  };
+}
+
+function normalizeIssue(record, file) {
+  // Jira REST JSON keeps everything under `fields`
+  const fields = record.fields || {};
+  const key = record.key || (record.number ? `#${String(record.number).replace(/^#/, '')}` : '');
+  if (!key) {
+    throw new Error(`${file}: every issue needs a "key" (Jira) or "number" (GitHub)`);
+  }
+
+  const status = fields.status?.name || record.status || record.state || '';
+  const category = fields.status?.statusCategory?.key || record.statusCategory || '';
+  const resolution = fields.resolution?.name || record.resolution || '';
+
+  return {
+    key: /^\d+$/.test(key) ? `#${key}` : key,
+    title: fields.summary || record.title || '',
+    status: status ? titleCase(status) : 'Unknown',
+    state: issueState(status, category, resolution),
+    type: fields.issuetype?.name || record.type || null,
+    assignee: fields.assignee?.displayName || record.assignee?.login || record.assignee || null,
+    labels: toList(fields.labels || record.labels).map(label => label?.name || label).filter(Boolean),
+    url: record.url || null
+  };
+}
+
+// done | in progress | open, from the status category when the export has one
+function issueState(status, category, resolution) {
+  const normalizedCategory = category.toLowerCase();
+  if (normalizedCategory === 'done') return 'done';
+  if (normalizedCategory === 'indeterminate' || normalizedCategory === 'in progress') return 'in progress';
+  if (normalizedCategory === 'new' || normalizedCategory === 'to do') return 'open';
+
+  const normalizedStatus = status.toLowerCase();
+  if (DONE_STATUSES.includes(normalizedStatus)) return 'done';
+  if (IN_PROGRESS_STATUSES.includes(normalizedStatus)) return 'in progress';
+  if (resolution && resolution.toLowerCase() !== 'unresolved') return 'done';
+  return 'open';
+}
+
+function titleCase(value) {
+  return value === value.toUpperCase() ? value.charAt(0) + value.slice(1).toLowerCase() : value;
+}
+
+// "owner/repo#12" and "#12" name the same GitHub issue
+function normalizeKey(key) {
+  return key.replace(/^[\w.-]+\/[\w.-]+(?=#)/, '');
+}
+
+// Sets commit.trackedPullRequest (by merge SHA, then by pull request number from the
+// merge message or a squash subject "... (#12)") and commit.trackedIssues (by issue
+// key). Issue keys in commit.issues also pick up the imported status and URL.
+export function attachTrackerData(commits, imports) {
+  const result = { pullRequests: 0, issues: 0 };
+  if (imports.pullRequests.length === 0 && imports.issues.length === 0) {
+    return result;
+  }
+
+  const prsBySha = new Map(imports.pullRequests.filter(pr => pr.mergeSha).map(pr => [pr.mergeSha, pr]));
+  const prsByNumber = new Map(imports.pullRequests.map(pr => [pr.number, pr]));
+  const issuesByKey = new Map(imports.issues.map(issue => [issue.key, issue]));
+
+  for (const commit of commits) {
+    const number = commit.pullRequest?.number ??
+      (commit.isMerge ? parseMergeMessage(commit.message, commit.body)?.number : null) ??
+      Number(commit.message.match(SQUASH_SUBJECT_PATTERN)?.[1]);
+
+    const pr = prsBySha.get(commit.hash) || (number ? prsByNumber.get(number) : null);
+    if (pr) {
+      commit.trackedPullRequest = pr;
+      result.pullRequests++;
+    }
+
+    const keys = new Set([...getIssueRefs(commit).map(ref => normalizeKey(ref.key)), ...(pr?.closingIssues || [])]);
+    const tracked = [...keys].map(key => issuesByKey.get(key)).filter(Boolean);
+    if (tracked.length > 0) {
+      commit.trackedIssues = tracked;
+      result.issues += tracked.length;
+    }
+
+    for (const issue of commit.issues || []) {
+      const imported = issuesByKey.get(normalizeKey(issue.key));
+      if (imported) {
+        issue.status = imported.status;
+        issue.url = issue.url || imported.url;
+      }
+    }
+  }
+
+  return result;
+}
+
+// Distinct tickets and pull requests across the analyzed commits
+export function summarizeTrackerData(commits) {
+  const issues = new Map();
+  const pullRequests = new Map();
+  for (const commit of commits) {
+    if (commit.trackedPullRequest) {
+      pullRequests.set(commit.trackedPullRequest.number, commit.trackedPullRequest);
+    }
+    for (const issue of commit.trackedIssues || []) {
+      issues.set(issue.key, issue);
+    }
+  }
+
+  const tickets = [...issues.values()];
+  const prs = [...pullRequests.values()];
+  const labels = {};
+  prs.flatMap(pr => pr.labels).forEach(label => { labels[label] = (labels[label] || 0) + 1; });
+
+  return {
+    tickets,
+    closed: tickets.filter(issue => issue.state === 'done'),
+    inProgress: tickets.filter(issue => issue.state === 'in progress'),
+    open: tickets.filter(issue => issue.state !== 'done'),
+    pullRequests: prs,
+    reviews: prs.reduce((sum, pr) => sum + pr.reviewCount, 0),
+    approved: prs.filter(pr => pr.reviewDecision === 'approved' || pr.approvals > 0).length,
+    labels: Object.entries(labels).sort((a, b) => b[1] - a[1])
+  };
+}
+
+export function hasTrackerData(summary) {
+  return summary.tickets.length > 0 || summary.pullRequests.length > 0;
+}
+
+// "closed 14 tickets, 3 still open (1 in progress); 9 pull requests, 23 reviews"
+export function formatTrackerSummary(summary) {
+  const parts = [];
+  if (summary.tickets.length > 0) {
+    parts.push(`closed ${summary.closed.length} ${summary.closed.length === 1 ? 'ticket' : 'tickets'}, ${summary.open.length} still open${summary.inProgress.length > 0 ? ` (${summary.inProgress.length} in progress)` : ''}`);
+  }
+  if (summary.pullRequests.length > 0) {
+    parts.push(`${summary.pullRequests.length} pull ${summary.pullRequests.length === 1 ? 'request' : 'requests'}, ${summary.reviews} ${summary.reviews === 1 ? 'review' : 'reviews'}`);
+  }
+  return parts.join('; ');
+}
+
+// Prompt lines for one commit's imported pull request and tickets
+export function formatTrackerDetails(commit) {
+  const lines = [];
+  const pr = commit.trackedPullRequest;
+  if (pr) {
+    const details = [
+      pr.state,
+      pr.labels.length > 0 ? `labels: ${pr.labels.join(', ')}` : null,
+      `${pr.reviewCount} ${pr.reviewCount === 1 ? 'review' : 'reviews'}`,
+      pr.reviewDecision
+    ].filter(Boolean);
+    lines.push(`Pull request #${pr.number}: "${pr.title}" (${details.join(', ')})`);
+  }
+  if (commit.trackedIssues?.length > 0) {
+    lines.push(`Tickets: ${commit.trackedIssues.map(issue => `${issue.key} ${issue.title} [${issue.status}]`).join('; ')}`);
+  }
+  return lines.join('\n');
+}
+
+// Prompt section with ticket counts, tickets still open and pull request labels
+export function formatTrackerContext(commits) {
+  const summary = summarizeTrackerData(commits);
+  if (!hasTrackerData(summary)) {
+    return '';
+  }
+
+  const lines = [`Totals: ${formatTrackerSummary(summary)}`];
+  if (summary.open.length > 0) {
+    lines.push(`Still open: ${summary.open.map(issue => `${issue.key} ${issue.title} [${issue.status}]`).join('; ')}`);
+  }
+  if (summary.labels.length > 0) {
+    lines.push(`Pull request labels: ${summary.labels.slice(0, 8).map(([label, count]) => `${label} (${count})`).join(', ')}`);
+  }
+  return `TRACKER DATA (imported from exports, authoritative):
+${lines.join('\n')}`;
+}
+
+function toList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
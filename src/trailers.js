@@ -0,0 +1,115 @@
+// Commit trailers ("Co-authored-by: ...", "Reviewed-by: ...", "Refs: PROJ-45") and
+// GitHub-style closing keywords ("Fixes #123") parsed into structured fields.
+
+const TRAILER_PATTERN = /^([A-Za-z][\w-]*|BREAKING CHANGE):\s*(.*)$/;
+const PERSON_PATTERN = /^(.*?)\s*<([^>]+)>\s*$/;
+const CLOSING_KEYWORD_PATTERN = /\b(close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s*:?\s+((?:[\w.-]+\/[\w.-]+)?#\d+|[A-Z][A-Z0-9]+-\d+)/gi;
+const REFERENCE_PATTERN = /(?:[\w.-]+\/[\w.-]+)?#\d+|\b[A-Z][A-Z0-9]+-\d+\b/g;
+
+const REVIEWER_TRAILERS = ['reviewed-by', 'approved-by', 'acked-by'];
+const CLOSING_TRAILERS = ['fixes', 'closes', 'resolves'];
+const REFERENCE_TRAILERS = ['refs', 'ref', 'references', 'see', 'issue', 'issues', 'related-to', 'part-of'];
+
+export function parseTrailers(message = '', body = '') {
+  const entries = readTrailerBlock(body);
+  const values = key => entries.filter(entry => entry.key === key).map(entry => entry.value);
+
+  const issueRefs = [];
+  const addRef = (key, action) => {
+    const existing = issueRefs.find(ref => ref.key === key);
+    if (!existing) {
+      issueRefs.push({ key, action });
+    } else if (action === 'closes') {
+      existing.action = 'closes';
+    }
+  };
+
+  for (const entry of entries) {
+    const action = CLOSING_TRAILERS.includes(entry.key) ? 'closes' : REFERENCE_TRAILERS.includes(entry.key) ? 'refs' : null;
+    if (action) {
+      (entry.value.match(REFERENCE_PATTERN) || []).forEach(key => addRef(key, action));
+    }
+  }
+  for (const match of `${message}\n${body}`.matchAll(CLOSING_KEYWORD_PATTERN)) {
+    // The keyword is case-insensitive but issue keys are not ("fix utf-8 output" is no reference)
+    if (isIssueReference(match[2])) addRef(match[2], 'closes');
+  }
+
+  return {
+    entries,
+    coAuthors: values('co-authored-by').map(parsePerson),
+    reviewers: REVIEWER_TRAILERS.flatMap(values).map(parsePerson),
+    signedOffBy: values('signed-off-by').map(parsePerson),
+    issueRefs
+  };
+}
+
+// Git's trailer block is the last paragraph of the body when every line in it is
+// a "Token: value" trailer or an indented continuation
+function readTrailerBlock(body = '') {
+  const paragraphs = body.trim().split(/\n\s*\n/);
+  const lines = (paragraphs[paragraphs.length - 1] || '').split('\n');
+
+  const entries = [];
+  for (const line of lines) {
+    const match = line.match(TRAILER_PATTERN);
+    if (match) {
+      entries.push({ key: match[1].toLowerCase(), token: match[1], value: match[2].trim() });
+    } else if (/^\s+\S/.test(line) && entries.length > 0) {
+      entries[entries.length - 1].value += ` ${line.trim()}`;
+    } else {
+      return [];
+    }
+  }
+  return entries;
+}
+
+function isIssueReference(value) {
+  return (value.match(REFERENCE_PATTERN) || [])[0] === value;
+}
+
+function parsePerson(value) {
+  const match = value.match(PERSON_PATTERN);
+  return match ? { name: match[1] || match[2], email: match[2] } : { name: value, email: '' };
+}
+
+// Prompt lines for co-authors, reviewers and referenced issues
+export function formatTrailerDetails(commit) {
+  const trailers = commit.trailers || { coAuthors: [], reviewers: [] };
+
+  const lines = [];
+  if (trailers.coAuthors.length > 0) {
+    lines.push(`Co-authors: ${trailers.coAuthors.map(person => person.name).join(', ')}`);
+  }
+  if (trailers.reviewers.length > 0) {
+    lines.push(`Reviewed by: ${trailers.reviewers.map(person => person.name).join(', ')}`);
+  }
+  const issueRefs = getIssueRefs(commit);
+  if (issueRefs.length > 0) {
+    lines.push(`Issues: ${formatIssueRefs(issueRefs)}`);
+  }
+  return lines.join('\n');
+}
+
+// Issue references of a commit, or of a pull request unit and all its commits.
+// Keys found by the issue trackers (commit.issues) count as plain mentions.
+export function getIssueRefs(commit) {
+  const refs = [...(commit.trailers?.issueRefs || [])];
+  const mentions = (commit.issues || []).map(issue => ({ key: issue.key, action: 'refs' }));
+  const members = commit.isPullRequest ? commit.commits.flatMap(getIssueRefs) : [];
+
+  for (const ref of [...mentions, ...members]) {
+    const existing = refs.find(candidate => candidate.key === ref.key);
+    if (!existing) {
+      refs.push({ ...ref });
+    } else if (ref.action === 'closes') {
+      existing.action = 'closes';
+    }
+  }
+  return refs;
+}
+
+// "closes #123, refs PROJ-45"
+export function formatIssueRefs(issueRefs) {
+  return issueRefs.map(ref => `${ref.action} ${ref.key}`).join(', ');
+}